@@ -2,29 +2,635 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { parseArgs } from 'node:util';
+import {
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import { ScreenshotCapture } from './src/screenshot.js';
+import { ACCESSIBILITY_CHECKS } from './src/accessibility.js';
+import { describeError, normalizeRetryOptions } from './src/errors.js';
+import { startHttpServer } from './src/http.js';
+import { parseDomainList } from './src/policy.js';
+import { loadDevicePresets } from './src/presets.js';
 import { DEVICE_PRESETS } from './src/utils.js';
 
-const server = new Server(
-  {
-    name: 'screenshot-mcp',
-    version: '1.0.0',
+// Merge custom device presets before the tool schemas list the preset names
+let customPresets;
+try {
+  customPresets = new Set(loadDevicePresets(process.env.DEVICE_PRESETS_FILE));
+} catch (error) {
+  console.error(`Device presets error: ${error.message}`);
+  process.exit(1);
+}
+
+// Transport: stdio by default, or HTTP with `--transport http` / MCP_TRANSPORT=http
+const { values: cli } = parseArgs({
+  options: {
+    transport: { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' }
   },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+  strict: false
+});
+
+const transportMode = cli.transport || process.env.MCP_TRANSPORT || 'stdio';
+
+// Refuse to start with a default retry count that would fail every capture
+let navigationRetries;
+try {
+  ({ retries: navigationRetries } = normalizeRetryOptions({ retries: Number(process.env.NAVIGATION_RETRIES || 0) }));
+} catch (error) {
+  console.error(`NAVIGATION_RETRIES error: ${error.message}`);
+  process.exit(1);
+}
 
 // Initialize screenshot capture
 const screenshotCapture = new ScreenshotCapture({
   headless: process.env.BROWSER_HEADLESS !== 'false',
   timeout: parseInt(process.env.BROWSER_TIMEOUT) || 30000,
-  maxConcurrent: parseInt(process.env.MAX_CONCURRENT_SCREENSHOTS) || 5
+  maxConcurrent: parseInt(process.env.MAX_CONCURRENT_SCREENSHOTS) || 5,
+  queueTimeout: parseInt(process.env.QUEUE_TIMEOUT) || 60000,
+  warmPages: parseInt(process.env.WARM_PAGES ?? '1'),
+  baselineDir: process.env.BASELINE_DIR,
+  sessionDir: process.env.SESSION_DIR,
+  outputDir: process.env.OUTPUT_DIR,
+  mocksDir: process.env.MOCKS_DIR,
+  allowedDomains: parseDomainList(process.env.ALLOWED_DOMAINS),
+  blockedDomains: parseDomainList(process.env.BLOCKED_DOMAINS),
+  blockPrivateNetworks: process.env.BLOCK_PRIVATE_NETWORKS === 'true',
+  rateLimitRequests: parseInt(process.env.RATE_LIMIT_REQUESTS ?? '100'),
+  rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,
+  navigationRetries,
+  // * Remote clients must not read or write arbitrary server paths or each other's sessions
+  confineFiles: transportMode === 'http'
 });
 
+const emulationSchema = {
+  colorScheme: {
+    type: 'string',
+    enum: ['light', 'dark', 'no-preference'],
+    description: 'Emulated prefers-color-scheme'
+  },
+  reducedMotion: {
+    type: 'string',
+    enum: ['reduce', 'no-preference'],
+    description: 'Emulated prefers-reduced-motion (stabilize defaults to reduce)'
+  },
+  forcedColors: {
+    type: 'string',
+    enum: ['active', 'none'],
+    description: 'Emulated forced-colors (Windows high contrast)'
+  },
+  media: {
+    type: 'string',
+    enum: ['screen', 'print'],
+    description: 'CSS media type to render with'
+  },
+  locale: {
+    type: 'string',
+    description: 'Locale such as de-DE, applied to navigator.language, Intl formatting and the Accept-Language header'
+  },
+  timezone: {
+    type: 'string',
+    description: 'IANA timezone such as America/New_York'
+  },
+  geolocation: {
+    type: 'object',
+    properties: {
+      latitude: { type: 'number', minimum: -90, maximum: 90 },
+      longitude: { type: 'number', minimum: -180, maximum: 180 },
+      accuracy: { type: 'number', minimum: 0, description: 'Accuracy in meters (default 0)' }
+    },
+    required: ['latitude', 'longitude'],
+    description: 'Emulated position; the geolocation permission is granted automatically'
+  },
+  permissions: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Browser permissions to grant to the page origin, e.g. ["notifications", "clipboard-read"]'
+  }
+};
+
+const viewportSchema = {
+  type: 'object',
+  properties: {
+    preset: {
+      type: 'string',
+      enum: Object.keys(DEVICE_PRESETS),
+      description: 'Device preset name (see list_device_presets)'
+    },
+    width: {
+      type: 'number',
+      minimum: 100,
+      maximum: 5000,
+      description: 'Viewport width in pixels'
+    },
+    height: {
+      type: 'number',
+      minimum: 100,
+      maximum: 5000,
+      description: 'Viewport height in pixels'
+    },
+    deviceScaleFactor: {
+      type: 'number',
+      minimum: 0.1,
+      maximum: 3,
+      description: 'Device scale factor'
+    },
+    isMobile: {
+      type: 'boolean',
+      description: 'Whether to emulate mobile device'
+    },
+    hasTouch: {
+      type: 'boolean',
+      description: 'Whether device has touch support'
+    },
+    ...emulationSchema
+  },
+  description: 'Viewport configuration'
+};
+
+const actionsSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      type: {
+        type: 'string',
+        enum: ['click', 'type', 'hover', 'focus', 'select', 'press', 'scroll', 'wait'],
+        description: 'Interaction to perform'
+      },
+      selector: {
+        type: 'string',
+        description: 'CSS selector of the target element (optional for press and wait)'
+      },
+      value: {
+        description: 'Text to type, option value(s) to select, or milliseconds to wait'
+      },
+      key: {
+        type: 'string',
+        description: 'Key to press, e.g. Enter, Escape, ArrowDown'
+      },
+      clear: {
+        type: 'boolean',
+        description: 'Clear the input before typing'
+      },
+      button: {
+        type: 'string',
+        enum: ['left', 'right', 'middle'],
+        description: 'Mouse button for click actions'
+      },
+      clickCount: {
+        type: 'number',
+        description: 'Number of clicks for click actions'
+      },
+      delay: {
+        type: 'number',
+        description: 'Delay between keystrokes in milliseconds for type actions'
+      },
+      timeout: {
+        type: 'number',
+        default: 10000,
+        description: 'Timeout in milliseconds for the target element to appear'
+      }
+    },
+    required: ['type']
+  },
+  description: 'Ordered interactions to perform after the page loads and before the screenshot'
+};
+
+// Authentication state applied to the page before navigation
+const sessionOptionsSchema = {
+  headers: {
+    type: 'object',
+    additionalProperties: { type: 'string' },
+    description: 'Extra HTTP headers sent with every request'
+  },
+  cookies: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        value: { type: 'string' },
+        domain: { type: 'string' },
+        path: { type: 'string' },
+        url: { type: 'string' },
+        expires: { type: 'number' },
+        httpOnly: { type: 'boolean' },
+        secure: { type: 'boolean' },
+        sameSite: { type: 'string', enum: ['Strict', 'Lax', 'None'] }
+      },
+      required: ['name', 'value']
+    },
+    description: 'Cookies to set before navigation (default to the target URL when no domain is given)'
+  },
+  basicAuth: {
+    type: 'object',
+    properties: {
+      username: { type: 'string' },
+      password: { type: 'string' }
+    },
+    required: ['username', 'password'],
+    description: 'HTTP basic auth credentials'
+  },
+  localStorage: {
+    type: 'object',
+    description: 'localStorage values to seed for the target origin before page scripts run'
+  },
+  session: {
+    type: 'string',
+    description: 'Name of a saved session whose cookies and localStorage to load'
+  },
+  saveSession: {
+    type: 'string',
+    description: 'Save cookies and localStorage under this name after actions run (e.g. after a scripted login)'
+  }
+};
+
+// Request blocking and mocking rules
+const networkSchema = {
+  type: 'object',
+  properties: {
+    blockResourceTypes: {
+      type: 'array',
+      items: {
+        type: 'string',
+        enum: ['document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other']
+      },
+      description: 'Resource types to block, e.g. font, media'
+    },
+    blockDomains: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Domains to block, subdomains included (e.g. ads.example.com)'
+    },
+    blockUrls: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'URL patterns to block; * matches any characters'
+    },
+    blockAnalytics: {
+      type: 'boolean',
+      description: 'Block common analytics, tag manager and ad domains'
+    },
+    blockThirdPartyScripts: {
+      type: 'boolean',
+      description: 'Block scripts served from a different site than the page'
+    },
+    mocks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'URL pattern to answer; * matches any characters'
+          },
+          method: {
+            type: 'string',
+            description: 'Only answer requests with this HTTP method'
+          },
+          status: {
+            type: 'number',
+            default: 200,
+            description: 'Response status code'
+          },
+          contentType: {
+            type: 'string',
+            description: 'Response content type (inferred from the file extension or body kind when omitted)'
+          },
+          headers: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Extra response headers'
+          },
+          file: {
+            type: 'string',
+            description: 'File in MOCKS_DIR to serve as the response body (not for the page URL itself)'
+          },
+          json: {
+            description: 'JSON value to serve as the response body'
+          },
+          body: {
+            type: 'string',
+            description: 'Text to serve as the response body'
+          }
+        },
+        required: ['url']
+      },
+      description: 'Canned responses for matching requests (checked before block rules)'
+    }
+  },
+  description: 'Block or mock network requests; matched requests are listed in the metadata'
+};
+
+// Page load options shared by every tool that navigates to a URL
+const pageLoadOptionsSchema = {
+  waitFor: {
+    type: 'object',
+    properties: {
+      type: {
+        type: 'string',
+        enum: ['selector', 'function', 'timeout', 'networkidle'],
+        description: 'Type of wait condition'
+      },
+      value: {
+        type: 'string',
+        description: 'Value for wait condition (selector, function, timeout in ms, or idle time for networkidle)'
+      },
+      timeout: {
+        type: 'number',
+        default: 10000,
+        description: 'Timeout for wait condition in milliseconds'
+      },
+      idleTime: {
+        type: 'number',
+        default: 2000,
+        description: 'Network idle time in milliseconds (for networkidle type)'
+      }
+    },
+    description: 'Wait condition before taking screenshot'
+  },
+  standardDelay: {
+    type: 'boolean',
+    description: 'Whether to apply standard 2.5s delay after networkidle2 for better stability (default true, false with stabilize)'
+  },
+  delay: {
+    type: 'number',
+    description: 'Additional delay in milliseconds before taking screenshot'
+  },
+  waitUntil: {
+    type: 'string',
+    enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'],
+    default: 'networkidle2',
+    description: 'When to consider navigation complete'
+  },
+  actions: actionsSchema,
+  ...sessionOptionsSchema,
+  network: networkSchema,
+  stabilize: {
+    oneOf: [
+      { type: 'boolean' },
+      {
+        type: 'object',
+        properties: {
+          time: { type: 'string', description: 'ISO timestamp the page clock starts at; it ignores real time and moves 1ms per read (default 2024-01-01T12:00:00.000Z)' },
+          seed: { type: 'number', description: 'Seed for Math.random (default 1)' },
+          timeout: { type: 'number', description: 'Maximum wait for web fonts and images in milliseconds (default 10000)' }
+        }
+      }
+    ],
+    description: 'Deterministic rendering: freeze time, seed Math.random, finish CSS animations and transitions, hide the caret, pause videos at frame 0 and wait for fonts and images'
+  },
+  mask: {
+    type: 'array',
+    items: {
+      oneOf: [
+        { type: 'string', description: 'CSS selector; every matching element is masked' },
+        {
+          type: 'object',
+          properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            width: { type: 'number' },
+            height: { type: 'number' }
+          },
+          required: ['x', 'y', 'width', 'height'],
+          description: 'Rectangle in CSS pixels of the captured image'
+        }
+      ]
+    },
+    description: 'Regions painted over with maskColor in the output image (timestamps, ads, avatars)'
+  },
+  maskColor: {
+    type: 'string',
+    default: '#FF00FF',
+    description: 'Color of the masked regions'
+  },
+  hide: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'CSS selectors set to visibility:hidden before the capture (cookie banners, chat widgets)'
+  },
+  diagnostics: {
+    type: 'boolean',
+    default: false,
+    description: 'Include console messages, page errors, failed requests and mixed content in the metadata'
+  },
+  retries: {
+    type: 'integer',
+    minimum: 0,
+    maximum: 5,
+    description: 'Retry navigation this many times after a timeout or dropped connection (default NAVIGATION_RETRIES)'
+  },
+  retryDelay: {
+    type: 'number',
+    minimum: 0,
+    maximum: 10000,
+    default: 1000,
+    description: 'Milliseconds to wait before the first retry; doubled for every further retry, up to 10 s or a third of the navigation timeout per wait'
+  },
+  failOnHttpError: {
+    type: 'boolean',
+    default: false,
+    description: 'Fail with HTTP_ERROR when the page responds with a 4xx/5xx status instead of capturing the error page (429 and 5xx are retried)'
+  }
+};
+
+// Output encoding options for tools that return captures
+const outputOptionsSchema = {
+  format: {
+    type: 'string',
+    enum: ['png', 'jpeg', 'webp', 'pdf'],
+    default: 'png',
+    description: 'Output format (pdf prints the page instead of taking a screenshot)'
+  },
+  quality: {
+    type: 'number',
+    minimum: 1,
+    maximum: 100,
+    default: 80,
+    description: 'Quality for jpeg and webp output'
+  },
+  maxWidth: {
+    type: 'number',
+    minimum: 100,
+    description: 'Downscale the image to at most this width in pixels'
+  },
+  maxBytes: {
+    type: 'number',
+    minimum: 1000,
+    description: 'Target maximum image size in bytes; quality is lowered, then the image is downscaled to fit'
+  },
+  pdf: {
+    type: 'object',
+    properties: {
+      pageSize: {
+        type: 'string',
+        enum: ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'],
+        default: 'A4',
+        description: 'Paper size'
+      },
+      landscape: {
+        type: 'boolean',
+        default: false,
+        description: 'Print in landscape orientation'
+      },
+      margin: {
+        oneOf: [
+          { type: 'string' },
+          {
+            type: 'object',
+            properties: {
+              top: { type: 'string' },
+              right: { type: 'string' },
+              bottom: { type: 'string' },
+              left: { type: 'string' }
+            }
+          }
+        ],
+        default: '1cm',
+        description: 'Page margins as a CSS length for all sides or per side'
+      },
+      printBackground: {
+        type: 'boolean',
+        default: true,
+        description: 'Print background colors and images'
+      }
+    },
+    description: 'PDF options (format: pdf only)'
+  },
+  savePath: {
+    type: 'string',
+    description: 'File or directory to save the capture to (defaults to OUTPUT_DIR when set)'
+  }
+};
+
+// Capture options shared by every tool that loads and screenshots a page
+const captureOptionsSchema = {
+  viewport: viewportSchema,
+  ...pageLoadOptionsSchema
+};
+
+const maxElementsSchema = {
+  type: 'integer',
+  default: 500,
+  description: 'Maximum number of elements to return'
+};
+
+const includeLayoutSchema = {
+  oneOf: [
+    { type: 'boolean' },
+    {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', description: 'Only describe elements matching this CSS selector' },
+        maxElements: maxElementsSchema
+      }
+    }
+  ],
+  description: 'Add bounding boxes (in pixels of the returned image), text, tag, role and key styles of the visible elements to the metadata'
+};
+
+const throttlingSchema = {
+  oneOf: [
+    {
+      type: 'string',
+      enum: ['none', 'mobile', 'slow-mobile', 'slow-3g', 'fast-3g', 'slow-4g', 'fast-4g'],
+      description: 'Preset: mobile is Slow 4G with 4x CPU slowdown, slow-mobile is Slow 3G with 6x; the network names leave the CPU alone'
+    },
+    {
+      type: 'object',
+      properties: {
+        network: {
+          oneOf: [
+            { type: 'string', enum: ['none', 'slow-3g', 'fast-3g', 'slow-4g', 'fast-4g'] },
+            {
+              type: 'object',
+              properties: {
+                downloadKbps: { type: 'number', description: 'Download bandwidth in kilobits per second' },
+                uploadKbps: { type: 'number', description: 'Upload bandwidth in kilobits per second' },
+                latencyMs: { type: 'number', default: 0, description: 'Added round-trip latency in milliseconds' }
+              },
+              required: ['downloadKbps', 'uploadKbps']
+            }
+          ]
+        },
+        cpu: { type: 'number', minimum: 1, maximum: 20, default: 1, description: 'CPU slowdown factor' }
+      }
+    }
+  ],
+  default: 'none',
+  description: 'CPU and network throttling applied while the page loads'
+};
+
+function getOutputOptions(args) {
+  return {
+    format: args.format,
+    quality: args.quality,
+    maxWidth: args.maxWidth,
+    maxBytes: args.maxBytes,
+    pdf: args.pdf,
+    savePath: args.savePath
+  };
+}
+
+// Images are returned inline; PDFs as an embedded resource since they are not images
+function captureContent(result) {
+  if (result.mimeType === 'application/pdf') {
+    return {
+      type: 'resource',
+      resource: {
+        uri: result.metadata?.resourceUri || `screenshot://capture/${Date.now()}.pdf`,
+        mimeType: result.mimeType,
+        blob: result.data
+      }
+    };
+  }
+
+  return {
+    type: 'image',
+    data: result.data,
+    mimeType: result.mimeType || 'image/png'
+  };
+}
+
+function getSessionOptions(args) {
+  return {
+    headers: args.headers,
+    cookies: args.cookies,
+    basicAuth: args.basicAuth,
+    localStorage: args.localStorage,
+    session: args.session,
+    saveSession: args.saveSession
+  };
+}
+
+function getCaptureOptions(args) {
+  return {
+    viewport: args.viewport,
+    waitFor: args.waitFor,
+    delay: args.delay,
+    waitUntil: args.waitUntil,
+    standardDelay: args.standardDelay,
+    actions: args.actions,
+    network: args.network,
+    stabilize: args.stabilize,
+    mask: args.mask,
+    maskColor: args.maskColor,
+    hide: args.hide,
+    diagnostics: args.diagnostics,
+    retries: args.retries,
+    retryDelay: args.retryDelay,
+    failOnHttpError: args.failOnHttpError,
+    ...getSessionOptions(args)
+  };
+}
+
 // Define available tools
 const tools = [
   {
@@ -37,90 +643,229 @@ const tools = [
           type: 'string',
           description: 'The URL of the webpage to screenshot'
         },
-        viewport: {
-          type: 'object',
-          properties: {
-            preset: {
-              type: 'string',
-              enum: Object.keys(DEVICE_PRESETS),
-              description: 'Device preset (mobile, tablet, desktop)'
-            },
-            width: {
-              type: 'number',
-              minimum: 100,
-              maximum: 5000,
-              description: 'Viewport width in pixels'
-            },
-            height: {
-              type: 'number',
-              minimum: 100,
-              maximum: 5000,
-              description: 'Viewport height in pixels'
-            },
-            deviceScaleFactor: {
-              type: 'number',
-              minimum: 0.1,
-              maximum: 3,
-              description: 'Device scale factor'
-            },
-            isMobile: {
-              type: 'boolean',
-              description: 'Whether to emulate mobile device'
-            },
-            hasTouch: {
-              type: 'boolean',
-              description: 'Whether device has touch support'
+        ...captureOptionsSchema,
+        ...outputOptionsSchema,
+        includeLayout: includeLayoutSchema,
+        highlight: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'CSS selectors of elements to outline and number on the image; the metadata gets a legend mapping numbers to selectors and text'
+        },
+        maxHighlights: {
+          type: 'integer',
+          default: 50,
+          description: 'Maximum number of highlighted elements'
+        },
+        scrollCapture: {
+          oneOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              properties: {
+                container: { type: 'string', description: 'CSS selector of a scrollable element to capture instead of the window' },
+                hideFixed: { type: 'boolean', default: true, description: 'Hide fixed and sticky elements after the first frame' },
+                delay: { type: 'number', default: 250, description: 'Wait after each scroll step in milliseconds' },
+                maxHeight: { type: 'number', default: 20000, description: 'Maximum captured height in CSS pixels, further limited to 20000 device pixels' }
+              }
             }
-          },
-          description: 'Viewport configuration'
+          ],
+          description: 'Scroll through the page in viewport-height steps so lazy-loaded content renders, then stitch the frames'
         },
-        waitFor: {
-          type: 'object',
-          properties: {
-            type: {
-              type: 'string',
-              enum: ['selector', 'function', 'timeout', 'networkidle'],
-              description: 'Type of wait condition'
-            },
-            value: {
-              type: 'string',
-              description: 'Value for wait condition (selector, function, timeout in ms, or idle time for networkidle)'
-            },
-            timeout: {
-              type: 'number',
-              default: 10000,
-              description: 'Timeout for wait condition in milliseconds'
-            },
-            idleTime: {
-              type: 'number',
-              default: 2000,
-              description: 'Network idle time in milliseconds (for networkidle type)'
+        includePerformance: {
+          oneOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              properties: {
+                throttling: throttlingSchema
+              }
             }
+          ],
+          description: 'Add load timing, Web Vitals (LCP, CLS, TBT, FCP) and request counts and sizes by type to the metadata, optionally under throttling'
+        }
+      },
+      required: ['url']
+    }
+  },
+  {
+    name: 'capture_responsive',
+    description: 'Capture a webpage at several viewports in parallel, with an optional side-by-side contact sheet',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The URL of the webpage to screenshot'
+        },
+        viewports: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            oneOf: [
+              {
+                type: 'string',
+                enum: Object.keys(DEVICE_PRESETS),
+                description: 'Device preset name'
+              },
+              viewportSchema
+            ]
           },
-          description: 'Wait condition before taking screenshot'
+          default: ['mobile', 'tablet', 'desktop'],
+          description: 'Device preset names and/or custom viewport configurations'
+        },
+        contactSheet: {
+          type: 'boolean',
+          default: false,
+          description: 'Whether to also return all captures composed side by side in one image'
+        },
+        ...pageLoadOptionsSchema,
+        ...outputOptionsSchema
+      },
+      required: ['url']
+    }
+  },
+  {
+    name: 'capture_batch',
+    description: 'Capture many pages from a URL list or a sitemap.xml with shared options and return a summary report',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        urls: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string' },
+          description: 'URLs to capture (use either urls or sitemap)'
+        },
+        sitemap: {
+          type: 'string',
+          description: 'URL or file path of a sitemap.xml (or .xml.gz); sitemap indexes are followed'
+        },
+        maxPages: {
+          type: 'number',
+          minimum: 1,
+          maximum: 500,
+          default: 50,
+          description: 'Maximum number of pages to capture'
         },
-        standardDelay: {
+        includeImages: {
           type: 'boolean',
-          default: true,
-          description: 'Whether to apply standard 2.5s delay after networkidle2 for better stability'
+          description: 'Return the full-size images inline. By default unsaved captures come back as 320px thumbnails and saved ones as paths only; false returns no images'
         },
-        delay: {
+        ...pageLoadOptionsSchema,
+        ...outputOptionsSchema
+      }
+    }
+  },
+  {
+    name: 'compare_screenshot',
+    description: 'Capture a webpage and diff it pixel-by-pixel against a baseline PNG',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The URL of the webpage to compare'
+        },
+        baselinePath: {
+          type: 'string',
+          description: 'Path to a baseline PNG file'
+        },
+        baselineName: {
+          type: 'string',
+          description: 'Name of a stored baseline (defaults to the name derived from URL and viewport preset)'
+        },
+        threshold: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          default: 0.1,
+          description: 'Per-pixel color distance (0-1) above which a pixel counts as changed'
+        },
+        maxRegions: {
           type: 'number',
-          description: 'Additional delay in milliseconds before taking screenshot'
+          minimum: 1,
+          default: 50,
+          description: 'Maximum number of changed regions to report'
         },
-        waitUntil: {
+        includeCapture: {
+          type: 'boolean',
+          default: false,
+          description: 'Whether to also return the new capture alongside the diff image'
+        },
+        ...captureOptionsSchema
+      },
+      required: ['url']
+    }
+  },
+  {
+    name: 'save_baseline',
+    description: 'Capture a webpage and store it as a named baseline for later comparisons',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
           type: 'string',
-          enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'],
-          default: 'networkidle2',
-          description: 'When to consider navigation complete'
-        }
+          description: 'The URL of the webpage to capture'
+        },
+        name: {
+          type: 'string',
+          description: 'Baseline name (defaults to a name derived from URL and viewport preset)'
+        },
+        overwrite: {
+          type: 'boolean',
+          default: false,
+          description: 'Whether to replace an existing baseline with the same name'
+        },
+        ...captureOptionsSchema
       },
       required: ['url']
     }
   },
+  {
+    name: 'list_baselines',
+    description: 'List stored baselines with their capture metadata and pending approvals',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'approve_baseline',
+    description: 'Promote the latest compared capture of a baseline to be the new baseline',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the baseline to approve'
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'delete_baseline',
+    description: 'Delete stored baselines by name or by age',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        names: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Names of the baselines to delete'
+        },
+        olderThanDays: {
+          type: 'number',
+          minimum: 0,
+          description: 'Delete every baseline not saved or approved within this many days'
+        }
+      }
+    }
+  },
   {
     name: 'capture_element',
-    description: 'Capture a screenshot of a specific element on a webpage',
+    description: 'Capture a screenshot of a specific element, or of every element matching a selector, on a webpage',
     inputSchema: {
       type: 'object',
       properties: {
@@ -130,38 +875,238 @@ const tools = [
         },
         selector: {
           type: 'string',
-          description: 'CSS selector for the element to capture'
+          description: 'Element to capture: a CSS selector, an XPath expression (//nav or xpath/...) or text/Visible text'
         },
-        viewport: {
-          type: 'object',
-          properties: {
-            preset: {
-              type: 'string',
-              enum: Object.keys(DEVICE_PRESETS),
-              description: 'Device preset (mobile, tablet, desktop)'
-            },
-            width: {
-              type: 'number',
-              minimum: 100,
-              maximum: 5000,
-              description: 'Viewport width in pixels'
+        index: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Which match to capture when the selector matches several elements (default 0)'
+        },
+        all: {
+          type: 'boolean',
+          default: false,
+          description: 'Capture every match as a separate image'
+        },
+        maxMatches: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          default: 20,
+          description: 'Maximum number of matches to capture with all'
+        },
+        padding: {
+          type: 'number',
+          minimum: 0,
+          maximum: 500,
+          default: 0,
+          description: 'Extra space around the element in CSS pixels'
+        },
+        elementTimeout: {
+          type: 'number',
+          minimum: 0,
+          default: 5000,
+          description: 'How long to wait for the selector to match, in milliseconds (0 to look it up once)'
+        },
+        ...captureOptionsSchema,
+        mask: {
+          ...pageLoadOptionsSchema.mask,
+          description: 'Regions painted over with maskColor; rectangles are relative to the captured area'
+        },
+        format: {
+          ...outputOptionsSchema.format,
+          enum: ['png', 'jpeg', 'webp'],
+          description: 'Output format'
+        },
+        quality: outputOptionsSchema.quality,
+        maxWidth: outputOptionsSchema.maxWidth,
+        maxBytes: outputOptionsSchema.maxBytes,
+        savePath: outputOptionsSchema.savePath,
+        includeLayout: {
+          ...includeLayoutSchema,
+          description: 'Add bounding boxes (relative to the returned image), text, tag, role and key styles of the element and its visible descendants to the metadata'
+        }
+      },
+      required: ['url', 'selector']
+    }
+  },
+  {
+    name: 'capture_flow',
+    description: 'Run a multi-step journey (navigate, interact, wait, capture) in one browser page and return a screenshot at every capture step',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The URL the flow starts at'
+        },
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              ...actionsSchema.items.properties,
+              type: {
+                type: 'string',
+                enum: ['navigate', 'capture', ...actionsSchema.items.properties.type.enum],
+                description: 'navigate to a URL, capture a screenshot, or perform an interaction'
+              },
+              url: {
+                type: 'string',
+                description: 'URL for navigate steps'
+              },
+              label: {
+                type: 'string',
+                description: 'Name of the step, shown in the results and capture file names'
+              },
+              fullPage: {
+                type: 'boolean',
+                default: true,
+                description: 'Capture the full page or only the viewport (capture steps)'
+              },
+              waitForNavigation: {
+                type: 'boolean',
+                description: 'Wait for the page navigation an interaction triggers, e.g. submitting a form'
+              },
+              waitUntil: {
+                type: 'string',
+                enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'],
+                description: 'When navigate and waitForNavigation steps consider the page loaded'
+              }
             },
-            height: {
-              type: 'number',
-              minimum: 100,
-              maximum: 5000,
-              description: 'Viewport height in pixels'
-            }
+            required: ['type']
+          },
+          description: 'Ordered steps. Capture steps take an optional selector to screenshot one element'
+        },
+        ...captureOptionsSchema,
+        format: {
+          ...outputOptionsSchema.format,
+          enum: ['png', 'jpeg', 'webp'],
+          description: 'Output format'
+        },
+        quality: outputOptionsSchema.quality,
+        maxWidth: outputOptionsSchema.maxWidth,
+        maxBytes: outputOptionsSchema.maxBytes,
+        savePath: {
+          type: 'string',
+          description: 'Directory to save every step capture to (defaults to OUTPUT_DIR when set)'
+        }
+      },
+      required: ['url', 'steps']
+    }
+  },
+  {
+    name: 'audit_accessibility',
+    description: 'Load a webpage and check it for missing alt text, low color contrast, unlabeled form fields, skipped heading levels and unnamed controls',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The URL of the webpage to audit'
+        },
+        checks: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ACCESSIBILITY_CHECKS
           },
-          description: 'Viewport configuration'
+          description: 'Checks to run (default all)'
+        },
+        maxViolations: {
+          type: 'number',
+          default: 200,
+          description: 'Maximum number of violations to return'
         },
-        standardDelay: {
+        screenshot: {
           type: 'boolean',
-          default: true,
-          description: 'Whether to apply standard 2.5s delay after networkidle2 for better stability'
+          default: false,
+          description: 'Also return a full-page screenshot with violating elements outlined and numbered'
+        },
+        ...captureOptionsSchema,
+        format: {
+          ...outputOptionsSchema.format,
+          enum: ['png', 'jpeg', 'webp'],
+          description: 'Output format of the screenshot'
+        },
+        quality: outputOptionsSchema.quality,
+        maxWidth: outputOptionsSchema.maxWidth,
+        maxBytes: outputOptionsSchema.maxBytes,
+        savePath: outputOptionsSchema.savePath
+      },
+      required: ['url']
+    }
+  },
+  {
+    name: 'get_page_structure',
+    description: 'Load a webpage and return bounding boxes, visible text, tag, role and computed styles (font, color, background) of its elements, in the same pixel coordinates as capture_screenshot',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The URL of the webpage to inspect'
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector of the elements to describe (default: every visible element that renders text, media, a control or a background)'
+        },
+        maxElements: maxElementsSchema,
+        ...captureOptionsSchema
+      },
+      required: ['url']
+    }
+  },
+  {
+    name: 'measure_performance',
+    description: 'Load a webpage, optionally under CPU/network throttling, and report navigation timing, Core Web Vitals (LCP, CLS, total blocking time), request counts and transfer sizes by resource type, and optionally a filmstrip of the load',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'The URL of the webpage to measure'
+        },
+        throttling: throttlingSchema,
+        filmstrip: {
+          oneOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              properties: {
+                interval: { type: 'number', default: 500, description: 'Time between frames in milliseconds; widened so the load fits in maxFrames' },
+                maxFrames: { type: 'integer', minimum: 2, maximum: 20, default: 10, description: 'Maximum number of frames' }
+              }
+            }
+          ],
+          description: 'Return a strip of frames showing what was painted at each interval during the load'
+        },
+        ...captureOptionsSchema,
+        ...outputOptionsSchema
+      },
+      required: ['url']
+    }
+  },
+  {
+    name: 'list_sessions',
+    description: 'List saved login sessions (cookie domains and storage origins, without values)',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'delete_session',
+    description: 'Delete a saved login session',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the session to delete'
         }
       },
-      required: ['url', 'selector']
+      required: ['name']
     }
   },
   {
@@ -176,65 +1121,455 @@ const tools = [
 ];
 
 // Handle tool listing
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function handleListTools() {
   return {
     tools: tools
   };
-});
+}
+
+// Handle resource listing (captures saved to disk)
+async function handleListResources() {
+  return {
+    resources: await screenshotCapture.captures.list()
+  };
+}
+
+// Handle resource reads
+async function handleReadResource(request) {
+  return {
+    contents: [await screenshotCapture.captures.read(request.params.uri)]
+  };
+}
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleCallTool(request) {
   const { name, arguments: args } = request.params;
 
   try {
     switch (name) {
       case 'capture_screenshot':
         const result = await screenshotCapture.captureScreenshot(args.url, {
-          viewport: args.viewport,
-          waitFor: args.waitFor,
-          delay: args.delay,
-          waitUntil: args.waitUntil,
-          standardDelay: args.standardDelay
+          ...getCaptureOptions(args),
+          ...getOutputOptions(args),
+          includeLayout: args.includeLayout,
+          highlight: args.highlight,
+          maxHighlights: args.maxHighlights,
+          scrollCapture: args.scrollCapture,
+          performance: args.includePerformance
+        });
+
+        const screenshotContent = [
+          {
+            type: 'text',
+            text: `Screenshot captured successfully from ${args.url}`
+          },
+          captureContent(result)
+        ];
+        if (result.metadata.highlights) {
+          screenshotContent.push({
+            type: 'text',
+            text: result.metadata.highlights.length === 0
+              ? 'Legend: no visible elements matched the highlight selectors'
+              : `Legend:\n${result.metadata.highlights
+                .map(item => `${item.number}. ${item.selector}${item.text ? ` - "${item.text}"` : ''}`)
+                .join('\n')}`
+          });
+        }
+        screenshotContent.push({
+          type: 'text',
+          text: `Metadata: ${JSON.stringify(result.metadata, null, 2)}`
+        });
+
+        return { content: screenshotContent };
+
+      case 'capture_responsive':
+        const responsive = await screenshotCapture.captureResponsive(
+          args.url,
+          args.viewports || ['mobile', 'tablet', 'desktop'],
+          {
+            ...getCaptureOptions(args),
+            ...getOutputOptions(args),
+            contactSheet: args.contactSheet
+          }
+        );
+
+        const responsiveContent = [
+          {
+            type: 'text',
+            text: `Responsive screenshots captured from ${args.url} at ${responsive.captures.length} viewport(s)`
+          }
+        ];
+
+        for (const capture of responsive.captures) {
+          if (capture.success) {
+            responsiveContent.push(
+              { type: 'text', text: `Viewport: ${capture.label}` },
+              captureContent(capture)
+            );
+          } else {
+            responsiveContent.push({ type: 'text', text: `Viewport ${capture.label} failed: ${capture.error}` });
+          }
+        }
+
+        if (responsive.contactSheet) {
+          responsiveContent.push(
+            { type: 'text', text: 'Contact sheet:' },
+            captureContent(responsive.contactSheet)
+          );
+        }
+
+        responsiveContent.push({
+          type: 'text',
+          text: `Metadata: ${JSON.stringify(responsive.metadata, null, 2)}`
+        });
+
+        return {
+          content: responsiveContent
+        };
+
+      case 'capture_batch':
+        const batch = await screenshotCapture.captureBatch(
+          { urls: args.urls, sitemap: args.sitemap },
+          {
+            ...getCaptureOptions(args),
+            ...getOutputOptions(args),
+            maxPages: args.maxPages,
+            includeImages: args.includeImages
+          }
+        );
+
+        const batchContent = [
+          {
+            type: 'text',
+            text: `Captured ${batch.metadata.succeeded} of ${batch.metadata.total} page(s)` +
+                  `${args.sitemap ? ` from ${args.sitemap}` : ''} in ${(batch.metadata.durationMs / 1000).toFixed(1)}s` +
+                  `${batch.metadata.truncated ? ` (limited to ${args.maxPages ?? 50} pages)` : ''}`
+          }
+        ];
+
+        for (const capture of batch.captures) {
+          if (!capture.success) {
+            batchContent.push({ type: 'text', text: `Page ${capture.url} failed: ${capture.error}` });
+          } else if (capture.data) {
+            batchContent.push(
+              { type: 'text', text: `Page: ${capture.url}${capture.thumbnail ? ' (thumbnail)' : ''}` },
+              captureContent(capture)
+            );
+          } else {
+            batchContent.push({ type: 'text', text: `Page: ${capture.url} saved to ${capture.metadata.savedPath}` });
+          }
+        }
+
+        batchContent.push({
+          type: 'text',
+          text: `Metadata: ${JSON.stringify(batch.metadata, null, 2)}`
+        });
+
+        return {
+          content: batchContent
+        };
+
+      case 'compare_screenshot':
+        const comparison = await screenshotCapture.compareScreenshot(args.url, {
+          path: args.baselinePath,
+          name: args.baselineName
+        }, {
+          ...getCaptureOptions(args),
+          threshold: args.threshold,
+          maxRegions: args.maxRegions
+        });
+
+        const comparisonContent = [
+          {
+            type: 'text',
+            text: `Compared ${args.url} against ${comparison.metadata.baseline}: ` +
+                  `${comparison.metadata.mismatchPercentage}% of pixels differ ` +
+                  `in ${comparison.metadata.totalRegions} region(s)`
+          },
+          {
+            type: 'image',
+            data: comparison.data,
+            mimeType: 'image/png'
+          }
+        ];
+
+        if (args.includeCapture) {
+          comparisonContent.push({
+            type: 'image',
+            data: comparison.capture,
+            mimeType: 'image/png'
+          });
+        }
+
+        comparisonContent.push({
+          type: 'text',
+          text: `Metadata: ${JSON.stringify(comparison.metadata, null, 2)}`
+        });
+
+        return {
+          content: comparisonContent
+        };
+
+      case 'save_baseline':
+        const saved = await screenshotCapture.saveBaseline(args.url, {
+          ...getCaptureOptions(args),
+          name: args.name,
+          overwrite: args.overwrite
         });
 
         return {
           content: [
             {
               type: 'text',
-              text: `Screenshot captured successfully from ${args.url}`
+              text: `Baseline "${saved.metadata.name}" saved from ${args.url}`
             },
             {
               type: 'image',
-              data: result.data,
+              data: saved.data,
               mimeType: 'image/png'
             },
             {
               type: 'text',
-              text: `Metadata: ${JSON.stringify(result.metadata, null, 2)}`
+              text: `Metadata: ${JSON.stringify(saved.metadata, null, 2)}`
+            }
+          ]
+        };
+
+      case 'list_baselines':
+        const baselines = await screenshotCapture.baselines.list();
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: baselines.length === 0
+                ? 'No baselines stored'
+                : `Stored baselines:\n\n${JSON.stringify(baselines, null, 2)}`
+            }
+          ]
+        };
+
+      case 'approve_baseline':
+        const approved = await screenshotCapture.baselines.approve(args.name);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Baseline "${approved.name}" approved: ${JSON.stringify(approved, null, 2)}`
+            }
+          ]
+        };
+
+      case 'delete_baseline':
+        const deleted = [];
+        for (const baselineName of args.names || []) {
+          deleted.push(await screenshotCapture.baselines.delete(baselineName));
+        }
+        if (args.olderThanDays !== undefined) {
+          deleted.push(...await screenshotCapture.baselines.deleteOlderThan(args.olderThanDays * 24 * 60 * 60 * 1000));
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: deleted.length === 0
+                ? 'No baselines deleted'
+                : `Deleted baselines: ${deleted.map(baseline => baseline.name).join(', ')}`
             }
           ]
         };
 
       case 'capture_element':
         const elementResult = await screenshotCapture.captureElement(args.url, args.selector, {
-          viewport: args.viewport,
-          standardDelay: args.standardDelay
+          ...getCaptureOptions(args),
+          ...getOutputOptions(args),
+          includeLayout: args.includeLayout,
+          index: args.index,
+          all: args.all,
+          maxMatches: args.maxMatches,
+          padding: args.padding,
+          elementTimeout: args.elementTimeout
+        });
+
+        if (!elementResult.captures) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Element screenshot captured from ${args.url} (selector: ${args.selector}, ` +
+                      `match ${elementResult.metadata.index + 1} of ${elementResult.metadata.matches})`
+              },
+              captureContent(elementResult),
+              {
+                type: 'text',
+                text: `Metadata: ${JSON.stringify(elementResult.metadata, null, 2)}`
+              }
+            ]
+          };
+        }
+
+        const elementContent = [
+          {
+            type: 'text',
+            text: `Captured ${elementResult.metadata.captured} of ${elementResult.metadata.matches} element(s) ` +
+                  `matching ${args.selector} on ${args.url}`
+          }
+        ];
+
+        for (const capture of elementResult.captures) {
+          if (capture.success) {
+            elementContent.push(
+              { type: 'text', text: `Match ${capture.metadata.index}:` },
+              captureContent(capture)
+            );
+          } else {
+            elementContent.push({ type: 'text', text: `Match ${capture.metadata.index} skipped: ${capture.error}` });
+          }
+        }
+
+        elementContent.push({
+          type: 'text',
+          text: `Metadata: ${JSON.stringify({
+            ...elementResult.metadata,
+            captures: elementResult.captures.map(capture => capture.metadata)
+          }, null, 2)}`
+        });
+
+        return {
+          content: elementContent
+        };
+
+      case 'capture_flow':
+        const flow = await screenshotCapture.captureFlow(args.url, args.steps, {
+          ...getCaptureOptions(args),
+          ...getOutputOptions(args)
+        });
+
+        const flowContent = [
+          {
+            type: 'text',
+            text: flow.success
+              ? `Flow completed: ${flow.steps.length} step(s), ${flow.metadata.captures} capture(s)`
+              : `Flow stopped at step ${flow.metadata.failedStep} after ${flow.metadata.captures} capture(s): ${flow.steps[flow.steps.length - 1].error}`
+          }
+        ];
+        for (const step of flow.steps.filter(step => step.capture)) {
+          flowContent.push(
+            { type: 'text', text: `Step ${step.step}${step.label ? ` (${step.label})` : ''}: ${step.url}` },
+            captureContent(step.capture)
+          );
+        }
+        flowContent.push({
+          type: 'text',
+          text: `Metadata: ${JSON.stringify(flow.metadata, null, 2)}`
+        });
+
+        return { content: flowContent };
+
+      case 'audit_accessibility':
+        const audit = await screenshotCapture.auditAccessibility(args.url, {
+          ...getCaptureOptions(args),
+          ...getOutputOptions(args),
+          checks: args.checks,
+          maxViolations: args.maxViolations,
+          screenshot: args.screenshot
+        });
+
+        const auditContent = [
+          {
+            type: 'text',
+            text: audit.metadata.total === 0
+              ? `No accessibility violations found on ${args.url}`
+              : `Found ${audit.metadata.total} accessibility violations on ${args.url}`
+          }
+        ];
+        if (audit.data) {
+          auditContent.push(captureContent(audit));
+        }
+        auditContent.push({
+          type: 'text',
+          text: `Report: ${JSON.stringify(audit.metadata, null, 2)}`
+        });
+
+        return { content: auditContent };
+
+      case 'get_page_structure':
+        const structure = await screenshotCapture.getPageStructure(args.url, {
+          ...getCaptureOptions(args),
+          selector: args.selector,
+          maxElements: args.maxElements
         });
 
         return {
           content: [
             {
               type: 'text',
-              text: `Element screenshot captured from ${args.url} (selector: ${args.selector})`
+              text: `Described ${structure.metadata.elements.length} of ${structure.metadata.total} elements on ${args.url}`
             },
             {
-              type: 'image',
-              data: elementResult.data,
-              mimeType: 'image/png'
-            },
+              type: 'text',
+              text: `Structure: ${JSON.stringify(structure.metadata, null, 2)}`
+            }
+          ]
+        };
+
+      case 'measure_performance':
+        const measurement = await screenshotCapture.measurePerformance(args.url, {
+          ...getCaptureOptions(args),
+          ...getOutputOptions(args),
+          throttling: args.throttling,
+          filmstrip: args.filmstrip
+        });
+        const { webVitals, requests } = measurement.metadata.performance;
+        const formatVital = (name, vital, unit = 'ms') => vital.value === null
+          ? `${name} n/a`
+          : `${name} ${vital.value}${unit} (${vital.rating})`;
+
+        const performanceContent = [
+          {
+            type: 'text',
+            text: `Measured ${args.url}: ${[
+              formatVital('LCP', webVitals.largestContentfulPaint),
+              formatVital('CLS', webVitals.cumulativeLayoutShift, ''),
+              formatVital('TBT', webVitals.totalBlockingTime),
+              formatVital('FCP', webVitals.firstContentfulPaint)
+            ].join(', ')}; ${requests.total} requests, ${Math.round(requests.transferSize / 1024)} KB transferred`
+          }
+        ];
+        if (measurement.filmstrip) {
+          performanceContent.push(captureContent(measurement.filmstrip));
+        }
+        performanceContent.push({
+          type: 'text',
+          text: `Metadata: ${JSON.stringify(measurement.metadata, null, 2)}`
+        });
+
+        return { content: performanceContent };
+
+      case 'list_sessions':
+        const sessions = await screenshotCapture.sessions.list();
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: sessions.length === 0
+                ? 'No sessions saved'
+                : `Saved sessions:\n\n${JSON.stringify(sessions, null, 2)}`
+            }
+          ]
+        };
+
+      case 'delete_session':
+        await screenshotCapture.sessions.delete(args.name);
+
+        return {
+          content: [
             {
               type: 'text',
-              text: `Metadata: ${JSON.stringify(elementResult.metadata, null, 2)}`
+              text: `Session "${args.name}" deleted`
             }
           ]
         };
@@ -255,7 +1590,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                       `- Dimensions: ${preset.width}x${preset.height}\n` +
                       `- Scale: ${preset.deviceScaleFactor}x\n` +
                       `- Mobile: ${preset.isMobile}\n` +
-                      `- Touch: ${preset.hasTouch}\n`
+                      `- Touch: ${preset.hasTouch}\n` +
+                      (customPresets.has(preset.name) ? '- Source: custom\n' : '')
                     ).join('\n')
             }
           ]
@@ -265,37 +1601,104 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         throw new Error(`Unknown tool: ${name}`);
     }
   } catch (error) {
+    // * Structured so clients can tell a retryable failure from one that needs different arguments
     return {
       content: [
         {
           type: 'text',
-          text: `Error: ${error.message}`
+          text: JSON.stringify({ error: describeError(error) }, null, 2)
         }
       ],
       isError: true
     };
   }
-});
+}
 
-// Handle cleanup on exit
-process.on('SIGINT', async () => {
-  await screenshotCapture.close();
-  process.exit(0);
-});
+// One MCP server per connection: stdio has one, HTTP opens one per client session.
+// They all share `screenshotCapture` and so one browser.
+function createServer() {
+  const server = new Server(
+    {
+      name: 'screenshot-mcp',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
 
-process.on('SIGTERM', async () => {
+  return server;
+}
+
+let httpServer = null;
+let shuttingDown = false;
+
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || /^127(\.\d{1,3}){3}$/.test(host);
+}
+
+// Handle cleanup on exit: let running captures finish, close the connections, then the browser
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  const timeout = parseInt(process.env.SHUTDOWN_TIMEOUT) || 10000;
+  // * Don't hang forever on a stuck page
+  setTimeout(() => process.exit(1), timeout + 5000).unref();
+
+  if (httpServer) {
+    await httpServer.close(timeout);
+  }
   await screenshotCapture.close();
   process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Start the server
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('Screenshot MCP Server running on stdio');
+  if (transportMode === 'stdio') {
+    const transport = new StdioServerTransport();
+    await createServer().connect(transport);
+    console.error('Screenshot MCP Server running on stdio');
+    return;
+  }
+
+  if (transportMode !== 'http') {
+    throw new Error(`Unknown transport: ${transportMode} (expected stdio or http)`);
+  }
+
+  const host = cli.host || process.env.HTTP_HOST || '127.0.0.1';
+  const port = parseInt(cli.port || process.env.HTTP_PORT || '3000');
+  const token = process.env.MCP_AUTH_TOKEN || null;
+  if (!token && !isLoopbackHost(host)) {
+    throw new Error(`MCP_AUTH_TOKEN is required to listen on ${host}; set it or bind to 127.0.0.1`);
+  }
+  if (!token) {
+    console.error('Warning: MCP_AUTH_TOKEN is not set, so local processes can connect without a token');
+  }
+
+  httpServer = await startHttpServer({
+    createServer,
+    host,
+    port,
+    token,
+    stats: () => screenshotCapture.pool.stats,
+    isIdle: () => screenshotCapture.pool.stats.active === 0 && screenshotCapture.pool.stats.queued === 0
+  });
+  console.error(`Screenshot MCP Server listening on http://${host}:${httpServer.address.port} (SSE at /sse, health at /health)`);
 }
 
 main().catch((error) => {
   console.error('Server error:', error);
   process.exit(1);
-});
\ No newline at end of file
+});
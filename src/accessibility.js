@@ -0,0 +1,226 @@
+import { cssPathHandle } from './dom.js';
+import { createError } from './utils.js';
+
+export const ACCESSIBILITY_CHECKS = ['image-alt', 'color-contrast', 'label', 'heading-order', 'focusable-name'];
+
+const IMPACT = {
+  'image-alt': 'critical',
+  label: 'critical',
+  'focusable-name': 'serious',
+  'color-contrast': 'serious',
+  'heading-order': 'moderate'
+};
+
+// Roles of form fields that need a label, and of other controls that need an accessible name
+const FORM_ROLES = new Set([
+  'textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio',
+  'spinbutton', 'slider', 'switch'
+]);
+const NAMED_ROLES = new Set([
+  'button', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+  'tab', 'treeitem', 'option', 'gridcell'
+]);
+
+export function validateChecks(checks) {
+  if (!checks) return ACCESSIBILITY_CHECKS;
+
+  const unknown = checks.filter(check => !ACCESSIBILITY_CHECKS.includes(check));
+  if (unknown.length > 0) {
+    throw createError(`Unknown accessibility checks: ${unknown.join(', ')}`, 'INVALID_CHECK', { available: ACCESSIBILITY_CHECKS });
+  }
+  return checks;
+}
+
+// Walk the accessibility tree for controls without an accessible name
+async function findUnnamedControls(page, checks) {
+  const wantLabels = checks.includes('label');
+  const wantNames = checks.includes('focusable-name');
+  if (!wantLabels && !wantNames) return [];
+
+  const root = await page.accessibility.snapshot();
+  const found = [];
+
+  const visit = node => {
+    const unnamed = !node.name || !node.name.trim();
+    if (unnamed && wantLabels && FORM_ROLES.has(node.role)) {
+      found.push({ check: 'label', node });
+    } else if (unnamed && wantNames && NAMED_ROLES.has(node.role)) {
+      found.push({ check: 'focusable-name', node });
+    }
+    (node.children || []).forEach(visit);
+  };
+  if (root) visit(root);
+
+  const controls = [];
+  for (const { check, node } of found) {
+    const element = await node.elementHandle();
+    if (element) {
+      controls.push({ check, role: node.role, element });
+    }
+  }
+  return controls;
+}
+
+// Runs in the page: DOM-based checks plus descriptions of the unnamed controls passed in
+function runChecks({ checks, controls, maxViolations }, cssPath, ...controlElements) {
+  const violations = [];
+
+  const isVisible = element => {
+    const rect = element.getBoundingClientRect();
+    const style = getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  const report = (check, element, message, details = {}) => {
+    const rect = element.getBoundingClientRect();
+    violations.push({
+      check,
+      message,
+      selector: cssPath(element),
+      html: element.outerHTML.slice(0, 200),
+      box: {
+        x: Math.round(rect.x + window.scrollX),
+        y: Math.round(rect.y + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      },
+      ...details
+    });
+  };
+
+  if (checks.includes('image-alt')) {
+    for (const image of document.querySelectorAll('img, input[type="image"], [role="img"]')) {
+      const decorative = ['presentation', 'none'].includes(image.getAttribute('role'))
+        || image.closest('[aria-hidden="true"]');
+      const named = image.hasAttribute('aria-label') || image.hasAttribute('aria-labelledby') || image.title
+        || (image.tagName.toLowerCase() === 'svg' && image.querySelector('title'));
+      const hasAlt = image.matches('[role="img"]:not(img)') ? false : image.hasAttribute('alt');
+      if (!decorative && !named && !hasAlt) {
+        report('image-alt', image, 'Image has no alt text', { src: image.currentSrc || image.getAttribute('src') || null });
+      }
+    }
+  }
+
+  if (checks.includes('heading-order')) {
+    let previous = 0;
+    for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"][aria-level]')) {
+      if (!isVisible(heading) || heading.closest('[aria-hidden="true"]')) continue;
+      const level = Number(heading.getAttribute('aria-level') || heading.tagName.slice(1));
+      if (previous > 0 && level > previous + 1) {
+        report('heading-order', heading, `Heading level ${level} follows level ${previous}`, { level, previousLevel: previous });
+      }
+      previous = level;
+    }
+  }
+
+  if (checks.includes('color-contrast')) {
+    const parseColor = value => {
+      const match = value.match(/^rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)$/);
+      return match ? { r: +match[1], g: +match[2], b: +match[3], a: match[4] === undefined ? 1 : +match[4] } : null;
+    };
+    const blend = (top, bottom) => ({
+      r: top.r * top.a + bottom.r * (1 - top.a),
+      g: top.g * top.a + bottom.g * (1 - top.a),
+      b: top.b * top.a + bottom.b * (1 - top.a),
+      a: 1
+    });
+    const luminance = ({ r, g, b }) => {
+      const [R, G, B] = [r, g, b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+      });
+      return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+    };
+    const hex = ({ r, g, b }) => `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+    // * Composite background colors up the tree; images and gradients can't be judged
+    const backgroundOf = element => {
+      const layers = [];
+      for (let node = element; node; node = node.parentElement) {
+        const style = getComputedStyle(node);
+        if (style.backgroundImage !== 'none') return null;
+        const color = parseColor(style.backgroundColor);
+        if (color === null) return null;
+        if (color.a > 0) layers.push(color);
+        if (color.a === 1) break;
+      }
+      return layers.reduceRight((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+    };
+
+    for (const element of document.body.querySelectorAll('*')) {
+      const hasText = [...element.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (!hasText || !isVisible(element)) continue;
+
+      const style = getComputedStyle(element);
+      const background = backgroundOf(element);
+      const color = parseColor(style.color);
+      if (!background || !color || Number(style.opacity) === 0) continue;
+
+      const foreground = blend(color, background);
+      const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+      const ratio = (lighter + 0.05) / (darker + 0.05);
+      const fontSize = parseFloat(style.fontSize);
+      const large = fontSize >= 24 || (fontSize >= 18.66 && Number(style.fontWeight) >= 700);
+      const required = large ? 3 : 4.5;
+
+      if (ratio < required) {
+        report('color-contrast', element, `Contrast ratio ${ratio.toFixed(2)}:1 is below ${required}:1`, {
+          ratio: Math.round(ratio * 100) / 100,
+          required,
+          foreground: hex(foreground),
+          background: hex(background),
+          fontSize: style.fontSize
+        });
+      }
+    }
+  }
+
+  controls.forEach(({ check, role }, index) => {
+    const element = controlElements[index];
+    const message = check === 'label'
+      ? `Form field (${role}) has no label`
+      : `Focusable ${role} has no accessible name`;
+    report(check, element, message, { role });
+  });
+
+  const counts = {};
+  violations.forEach(violation => {
+    counts[violation.check] = (counts[violation.check] || 0) + 1;
+  });
+
+  return { total: violations.length, counts, violations: violations.slice(0, maxViolations) };
+}
+
+export async function auditAccessibility(page, options = {}) {
+  const checks = validateChecks(options.checks);
+  // * Unnamed controls come from the accessibility tree, so names from aria-label,
+  // labelledby, <label> and content are all taken into account
+  const controls = await findUnnamedControls(page, checks);
+  let cssPath = null;
+
+  try {
+    cssPath = await cssPathHandle(page);
+    const { total, counts, violations } = await page.evaluate(
+      runChecks,
+      {
+        checks,
+        controls: controls.map(({ check, role }) => ({ check, role })),
+        maxViolations: options.maxViolations ?? 200
+      },
+      cssPath,
+      ...controls.map(control => control.element)
+    );
+
+    const summary = Object.fromEntries(checks.map(check => [check, counts[check] || 0]));
+
+    return {
+      checks,
+      total,
+      truncated: total > violations.length,
+      summary,
+      violations: violations.map((violation, index) => ({ id: index + 1, impact: IMPACT[violation.check], ...violation }))
+    };
+  } finally {
+    await Promise.all([cssPath, ...controls.map(control => control.element)].map(handle => handle?.dispose().catch(() => {})));
+  }
+}
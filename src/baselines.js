@@ -0,0 +1,162 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { validateStorageName, createError } from './utils.js';
+
+// Derive a stable baseline name from a URL and the viewport it was captured with
+export function baselineKey(url, viewport = {}) {
+  const parsed = new URL(url);
+  const slug = `${parsed.host}${parsed.pathname}`
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^[_.]+|_+$/g, '');
+  const query = parsed.search
+    ? `-${createHash('sha1').update(parsed.search).digest('hex').slice(0, 8)}`
+    : '';
+  const variant = viewport.preset
+    || (viewport.width || viewport.height ? `${viewport.width || 1920}x${viewport.height || 1080}` : 'default');
+  // * Emulation that changes rendering gets its own baseline, e.g. `--mobile-dark-de-DE`
+  const emulation = [
+    viewport.colorScheme === 'dark' && 'dark',
+    viewport.media === 'print' && 'print',
+    viewport.forcedColors === 'active' && 'forced-colors',
+    viewport.locale
+  ].filter(Boolean).map(part => `-${String(part).replace(/[^\w-]+/g, '_')}`).join('');
+
+  return `${slug}${query}--${variant}${emulation}`;
+}
+
+export class BaselineStore {
+  constructor(dir = 'baselines') {
+    this.dir = path.resolve(dir);
+    this.pendingDir = path.join(this.dir, '.pending');
+  }
+
+  paths(name, pending = false) {
+    const base = path.join(pending ? this.pendingDir : this.dir, validateStorageName(name, 'baseline'));
+    return { image: `${base}.png`, manifest: `${base}.json` };
+  }
+
+  async readManifest(file) {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw createError(`Failed to read baseline manifest: ${file}`, 'BASELINE_MANIFEST_ERROR', { originalError: err.message });
+    }
+  }
+
+  async write(name, buffer, metadata, { pending = false, overwrite = true } = {}) {
+    const files = this.paths(name, pending);
+
+    if (!overwrite && await this.readManifest(files.manifest)) {
+      throw createError(`Baseline already exists: ${name}`, 'BASELINE_EXISTS', { name });
+    }
+
+    const manifest = {
+      name,
+      ...metadata,
+      savedAt: new Date().toISOString()
+    };
+
+    await mkdir(path.dirname(files.image), { recursive: true });
+    await writeFile(files.image, buffer);
+    await writeFile(files.manifest, JSON.stringify(manifest, null, 2));
+
+    return { ...manifest, path: files.image };
+  }
+
+  async save(name, buffer, metadata, options = {}) {
+    return this.write(name, buffer, metadata, { overwrite: options.overwrite });
+  }
+
+  async savePending(name, buffer, metadata) {
+    return this.write(name, buffer, metadata, { pending: true });
+  }
+
+  async load(name) {
+    const files = this.paths(name);
+    try {
+      return {
+        path: files.image,
+        buffer: await readFile(files.image),
+        manifest: await this.readManifest(files.manifest)
+      };
+    } catch (err) {
+      throw createError(`Baseline not found: ${name}`, 'BASELINE_NOT_FOUND', { name, originalError: err.message });
+    }
+  }
+
+  async list() {
+    let entries;
+    try {
+      entries = await readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw createError('Failed to list baselines', 'BASELINE_LIST_ERROR', { originalError: err.message });
+    }
+
+    const baselines = [];
+    for (const entry of entries.filter(file => file.endsWith('.json')).sort()) {
+      const manifest = await this.readManifest(path.join(this.dir, entry));
+      if (!manifest) continue;
+
+      const pending = await this.readManifest(this.paths(manifest.name, true).manifest);
+      baselines.push({
+        ...manifest,
+        path: this.paths(manifest.name).image,
+        pendingSince: pending ? pending.savedAt : null
+      });
+    }
+
+    return baselines;
+  }
+
+  async approve(name) {
+    const pending = this.paths(name, true);
+    const manifest = await this.readManifest(pending.manifest);
+
+    if (!manifest) {
+      throw createError(`No pending capture to approve for baseline: ${name}`, 'BASELINE_PENDING_NOT_FOUND', { name });
+    }
+
+    const files = this.paths(name);
+    const approved = { ...manifest, approvedAt: new Date().toISOString() };
+
+    await mkdir(this.dir, { recursive: true });
+    await rename(pending.image, files.image);
+    await writeFile(files.manifest, JSON.stringify(approved, null, 2));
+    await rm(pending.manifest, { force: true });
+
+    return { ...approved, path: files.image };
+  }
+
+  async delete(name) {
+    const files = this.paths(name);
+    const pending = this.paths(name, true);
+    const manifest = await this.readManifest(files.manifest);
+
+    if (!manifest) {
+      throw createError(`Baseline not found: ${name}`, 'BASELINE_NOT_FOUND', { name });
+    }
+
+    await Promise.all([files.image, files.manifest, pending.image, pending.manifest]
+      .map(file => rm(file, { force: true })));
+
+    return manifest;
+  }
+
+  // Remove baselines that have not been saved or approved within the given age
+  async deleteOlderThan(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    const deleted = [];
+
+    for (const baseline of await this.list()) {
+      const updatedAt = Date.parse(baseline.approvedAt || baseline.savedAt);
+      if (updatedAt < cutoff) {
+        deleted.push(await this.delete(baseline.name));
+      }
+    }
+
+    return deleted;
+  }
+}
@@ -0,0 +1,181 @@
+import { mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { baselineKey } from './baselines.js';
+import { createError } from './utils.js';
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+const MIME_TYPES = {
+  ...Object.fromEntries(Object.entries(EXTENSIONS).map(([mimeType, ext]) => [ext, mimeType])),
+  jpeg: 'image/jpeg'
+};
+
+function mimeTypeOf(file) {
+  return MIME_TYPES[path.extname(file).slice(1).toLowerCase()];
+}
+
+// `savePath` is a file when it has a known extension, otherwise a directory
+export function isFilePath(savePath) {
+  return Boolean(mimeTypeOf(savePath));
+}
+
+const RESOURCE_PREFIX = 'screenshot://captures/';
+
+// <host_path>--<viewport>[--<suffix>]--<timestamp>.<ext>, derived from the capture itself
+export function captureFileName({ url, viewport, suffix, timestamp, mimeType }) {
+  const stamp = new Date(timestamp).toISOString().replace(/[-:.]/g, '');
+  const parts = [baselineKey(url, viewport)];
+  if (suffix) {
+    parts.push(suffix.replace(/[^\w.-]+/g, '_'));
+  }
+  parts.push(stamp);
+  return `${parts.join('--')}.${EXTENSIONS[mimeType] || 'bin'}`;
+}
+
+export function selectorSuffix(selector) {
+  return `el-${createHash('sha1').update(selector).digest('hex').slice(0, 8)}`;
+}
+
+export class CaptureStore {
+  // `confine` keeps every savePath inside `dir` (HTTP mode); relative paths resolve against it
+  constructor(dir, { confine = false } = {}) {
+    this.dir = dir ? path.resolve(dir) : null;
+    this.confine = confine;
+    // * Files written to an explicit savePath outside the output directory, by resource URI
+    this.external = new Map();
+  }
+
+  shouldSave(options = {}) {
+    return options.save !== false && Boolean(options.savePath || this.dir);
+  }
+
+  uriFor(file) {
+    if (this.dir && path.dirname(file) === this.dir) {
+      return `${RESOURCE_PREFIX}${encodeURIComponent(path.basename(file))}`;
+    }
+    return pathToFileURL(file).href;
+  }
+
+  resolveTarget(savePath, fileName, mimeType) {
+    if (!savePath) {
+      return path.join(this.dir, fileName);
+    }
+
+    const resolved = this.confine ? this.confinedPath(savePath) : path.resolve(savePath);
+    if (!isFilePath(resolved)) {
+      return path.join(resolved, fileName);
+    }
+
+    if (mimeTypeOf(resolved) !== mimeType) {
+      throw createError(
+        `savePath extension ${path.extname(resolved)} does not match the ${mimeType} output`,
+        'INVALID_SAVE_PATH',
+        { savePath }
+      );
+    }
+    return resolved;
+  }
+
+  confinedPath(savePath) {
+    if (!this.dir) {
+      throw createError('savePath needs OUTPUT_DIR when the server is shared over HTTP', 'FILE_ACCESS_DENIED', { savePath });
+    }
+    const resolved = path.resolve(this.dir, savePath);
+    const relative = path.relative(this.dir, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw createError(`savePath must be inside OUTPUT_DIR: ${savePath}`, 'FILE_ACCESS_DENIED', { savePath });
+    }
+    return resolved;
+  }
+
+  async save(buffer, { url, viewport, suffix, timestamp, mimeType, savePath }) {
+    const file = this.resolveTarget(savePath, captureFileName({ url, viewport, suffix, timestamp, mimeType }), mimeType);
+
+    try {
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, buffer);
+    } catch (err) {
+      throw createError(`Failed to save capture to ${file}`, 'SAVE_FAILED', { path: file, originalError: err.message });
+    }
+
+    const uri = this.uriFor(file);
+    if (!uri.startsWith(RESOURCE_PREFIX)) {
+      this.external.set(uri, file);
+    }
+
+    return { path: file, uri };
+  }
+
+  async describe(file, uri) {
+    const info = await stat(file);
+    return {
+      uri,
+      name: path.basename(file),
+      description: `Capture saved ${info.mtime.toISOString()}`,
+      mimeType: mimeTypeOf(file)
+    };
+  }
+
+  async list() {
+    const resources = [];
+
+    if (this.dir) {
+      let entries = [];
+      try {
+        entries = await readdir(this.dir);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw createError('Failed to list captures', 'CAPTURE_LIST_ERROR', { originalError: err.message });
+        }
+      }
+
+      for (const entry of entries.sort()) {
+        if (mimeTypeOf(entry)) {
+          const file = path.join(this.dir, entry);
+          resources.push(await this.describe(file, this.uriFor(file)));
+        }
+      }
+    }
+
+    for (const [uri, file] of this.external) {
+      try {
+        resources.push(await this.describe(file, uri));
+      } catch (err) {
+        // * The file was removed since it was saved
+        this.external.delete(uri);
+      }
+    }
+
+    return resources;
+  }
+
+  async read(uri) {
+    let file = this.external.get(uri);
+
+    if (!file && this.dir && uri.startsWith(RESOURCE_PREFIX)) {
+      const name = decodeURIComponent(uri.slice(RESOURCE_PREFIX.length));
+      // * Only plain file names inside the output directory
+      if (name === path.basename(name)) {
+        file = path.join(this.dir, name);
+      }
+    }
+
+    const mimeType = file && mimeTypeOf(file);
+    if (!mimeType) {
+      throw createError(`Resource not found: ${uri}`, 'RESOURCE_NOT_FOUND', { uri });
+    }
+
+    try {
+      return { uri, mimeType, blob: (await readFile(file)).toString('base64') };
+    } catch (err) {
+      throw createError(`Resource not found: ${uri}`, 'RESOURCE_NOT_FOUND', { uri, originalError: err.message });
+    }
+  }
+}
@@ -0,0 +1,164 @@
+import sharp from 'sharp';
+import { createError } from './utils.js';
+
+// Size of the grid cells used to group changed pixels into regions
+const REGION_CELL_SIZE = 16;
+
+async function decodeRaw(buffer, label) {
+  try {
+    const { data, info } = await sharp(buffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  } catch (err) {
+    throw createError(`Failed to decode ${label} image`, 'IMAGE_DECODE_ERROR', { originalError: err.message });
+  }
+}
+
+// Normalized (0-1) RGBA distance between two pixels
+function pixelDistance(a, ai, b, bi) {
+  const dr = a[ai] - b[bi];
+  const dg = a[ai + 1] - b[bi + 1];
+  const db = a[ai + 2] - b[bi + 2];
+  const da = a[ai + 3] - b[bi + 3];
+  return Math.sqrt(dr * dr + dg * dg + db * db + da * da) / 510;
+}
+
+// Group changed grid cells into connected regions and return their bounding boxes
+function findRegions(grid) {
+  const { cells, bounds, columns, rows } = grid;
+  const visited = new Uint8Array(cells.length);
+  const regions = [];
+
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || visited[start]) continue;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    let changedPixels = 0;
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const cx = cell % columns;
+      const cy = Math.floor(cell / columns);
+      changedPixels += cells[cell];
+      minX = Math.min(minX, bounds[cell * 4]);
+      minY = Math.min(minY, bounds[cell * 4 + 1]);
+      maxX = Math.max(maxX, bounds[cell * 4 + 2]);
+      maxY = Math.max(maxY, bounds[cell * 4 + 3]);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= columns || ny >= rows) continue;
+          const neighbour = ny * columns + nx;
+          if (cells[neighbour] && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    regions.push({
+      x: minX,
+      y: minY,
+      width: maxX - minX + 1,
+      height: maxY - minY + 1,
+      changedPixels
+    });
+  }
+
+  return regions.sort((a, b) => b.changedPixels - a.changedPixels);
+}
+
+export async function compareImages(actualBuffer, baselineBuffer, options = {}) {
+  const threshold = options.threshold ?? 0.1;
+  const maxRegions = options.maxRegions ?? 50;
+
+  if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+    throw createError('Threshold must be a number between 0 and 1', 'INVALID_THRESHOLD');
+  }
+
+  const actual = await decodeRaw(actualBuffer, 'captured');
+  const baseline = await decodeRaw(baselineBuffer, 'baseline');
+
+  // * Compare over the union of both images; pixels outside either one count as changed
+  const width = Math.max(actual.width, baseline.width);
+  const height = Math.max(actual.height, baseline.height);
+  const columns = Math.ceil(width / REGION_CELL_SIZE);
+  const rows = Math.ceil(height / REGION_CELL_SIZE);
+  const cells = new Uint32Array(columns * rows);
+  // * Exact pixel extents (minX, minY, maxX, maxY) of the changes inside each cell
+  const bounds = new Uint32Array(columns * rows * 4);
+  const diff = Buffer.alloc(width * height * 4);
+  let mismatchedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const inActual = x < actual.width && y < actual.height;
+      const inBaseline = x < baseline.width && y < baseline.height;
+      const ai = (y * actual.width + x) * 4;
+      const bi = (y * baseline.width + x) * 4;
+
+      let changed = !inActual || !inBaseline;
+      if (!changed) {
+        changed = pixelDistance(actual.data, ai, baseline.data, bi) > threshold;
+      }
+
+      if (changed) {
+        mismatchedPixels++;
+        const cell = Math.floor(y / REGION_CELL_SIZE) * columns + Math.floor(x / REGION_CELL_SIZE);
+        if (cells[cell] === 0) {
+          bounds[cell * 4] = x;
+          bounds[cell * 4 + 1] = y;
+          bounds[cell * 4 + 2] = x;
+          bounds[cell * 4 + 3] = y;
+        } else {
+          bounds[cell * 4] = Math.min(bounds[cell * 4], x);
+          bounds[cell * 4 + 2] = Math.max(bounds[cell * 4 + 2], x);
+          bounds[cell * 4 + 3] = y;
+        }
+        cells[cell]++;
+        diff[out] = 255;
+        diff[out + 1] = 0;
+        diff[out + 2] = 0;
+        diff[out + 3] = 255;
+      } else {
+        // * Faded grayscale of the capture so highlighted changes stand out
+        const gray = 0.299 * actual.data[ai] + 0.587 * actual.data[ai + 1] + 0.114 * actual.data[ai + 2];
+        const faded = Math.round(255 - (255 - gray) * 0.3);
+        diff[out] = faded;
+        diff[out + 1] = faded;
+        diff[out + 2] = faded;
+        diff[out + 3] = 255;
+      }
+    }
+  }
+
+  let diffImage;
+  try {
+    diffImage = await sharp(diff, { raw: { width, height, channels: 4 } }).png().toBuffer();
+  } catch (err) {
+    throw createError('Failed to encode diff image', 'IMAGE_DIFF_ERROR', { originalError: err.message });
+  }
+
+  const totalPixels = width * height;
+  const regions = findRegions({ cells, bounds, columns, rows });
+
+  return {
+    diffImage: diffImage.toString('base64'),
+    mismatchedPixels,
+    totalPixels,
+    mismatchPercentage: Number(((mismatchedPixels / totalPixels) * 100).toFixed(4)),
+    dimensionsMatch: actual.width === baseline.width && actual.height === baseline.height,
+    actualSize: { width: actual.width, height: actual.height },
+    baselineSize: { width: baseline.width, height: baseline.height },
+    regions: regions.slice(0, maxRegions),
+    totalRegions: regions.length
+  };
+}
@@ -0,0 +1,24 @@
+// Runs in the page: a selector for `element`, anchored at its nearest ancestor with a unique id
+function cssPath(element) {
+  const parts = [];
+  let node = element;
+  while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+    if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+    const tag = node.tagName.toLowerCase();
+    const siblings = node.parentElement
+      ? [...node.parentElement.children].filter(sibling => sibling.tagName === node.tagName)
+      : [];
+    parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    node = node.parentElement;
+  }
+  return parts.join(' > ');
+}
+
+// Functions can't be serialized into page.evaluate, so in-page code receives `cssPath` as a
+// handle argument instead: page.evaluate(fn, ..., await cssPathHandle(page)); dispose it after
+export function cssPathHandle(page) {
+  return page.evaluateHandle(`(${cssPath})`);
+}
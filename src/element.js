@@ -0,0 +1,146 @@
+import { sanitizeSelector, createError } from './utils.js';
+
+const MAX_CANDIDATES = 5;
+
+// CSS by default; `xpath/…`, `text/…` and bare XPath (`//nav`) go through Puppeteer's query handlers
+export function normalizeElementSelector(selector) {
+  const validated = sanitizeSelector(selector);
+  if (!validated) {
+    throw createError('Invalid selector provided', 'INVALID_SELECTOR');
+  }
+  return /^\(*\//.test(validated) ? `xpath/${validated}` : validated;
+}
+
+// `index` picks one match, `all` captures up to `maxMatches`; `padding` is in CSS pixels
+export function normalizeElementOptions(options = {}) {
+  const { index, all = false, maxMatches = 20, padding = 0, elementTimeout = 5000 } = options;
+
+  if (index !== undefined && (!Number.isInteger(index) || index < 0)) {
+    throw createError('index must be a non-negative integer', 'INVALID_ELEMENT_OPTIONS', { index });
+  }
+  if (index !== undefined && all) {
+    throw createError('Use either index or all, not both', 'INVALID_ELEMENT_OPTIONS');
+  }
+  if (!Number.isInteger(maxMatches) || maxMatches < 1 || maxMatches > 100) {
+    throw createError('maxMatches must be between 1 and 100', 'INVALID_ELEMENT_OPTIONS', { maxMatches });
+  }
+  if (typeof padding !== 'number' || padding < 0 || padding > 500) {
+    throw createError('padding must be between 0 and 500 pixels', 'INVALID_ELEMENT_OPTIONS', { padding });
+  }
+
+  return { index: index ?? 0, all, maxMatches, padding, elementTimeout };
+}
+
+// Wait up to `timeout` ms for the selector to match, then return every match
+export async function findElements(page, selector, timeout = 5000) {
+  if (timeout > 0) {
+    try {
+      await page.waitForSelector(selector, { timeout });
+    } catch (err) {
+      if (err.name !== 'TimeoutError') {
+        throw createError(`Invalid selector: ${selector}`, 'INVALID_SELECTOR', { selector, originalError: err.message });
+      }
+    }
+  }
+
+  try {
+    return await page.$$(selector);
+  } catch (err) {
+    throw createError(`Invalid selector: ${selector}`, 'INVALID_SELECTOR', { selector, originalError: err.message });
+  }
+}
+
+// Runs in the page: ids, classes, test ids and visible texts that resemble the selector's names
+function findSimilar(tokens, byText, limit) {
+  const distance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  };
+
+  const similarity = (name, token) => {
+    const a = name.toLowerCase();
+    const b = token.toLowerCase();
+    if (a === b) return 1;
+    const score = 1 - distance(a, b) / Math.max(a.length, b.length);
+    return a.includes(b) || b.includes(a) ? Math.max(score, 0.7) : score;
+  };
+
+  const names = new Map();
+  const add = (selector, name) => {
+    const entry = names.get(selector) || { selector, name, matches: 0 };
+    entry.matches++;
+    names.set(selector, entry);
+  };
+
+  for (const element of document.querySelectorAll('body *')) {
+    if (byText) {
+      const text = element.matches('a, button, label, summary, h1, h2, h3, h4, h5, h6, [role="button"], [role="link"], [role="tab"]')
+        ? (element.innerText || '').replace(/\s+/g, ' ').trim()
+        : '';
+      if (text && text.length <= 80) add(`text/${text}`, text);
+      continue;
+    }
+    if (element.id) add(`#${CSS.escape(element.id)}`, element.id);
+    for (const name of element.classList) add(`.${CSS.escape(name)}`, name);
+    const testId = element.getAttribute('data-testid');
+    if (testId) add(`[data-testid="${testId}"]`, testId);
+  }
+
+  return [...names.values()]
+    .map(entry => ({ ...entry, score: Math.max(...tokens.map(token => similarity(entry.name, token))) }))
+    .filter(entry => entry.score >= 0.5)
+    .sort((a, b) => b.score - a.score || b.matches - a.matches)
+    .slice(0, limit)
+    .map(({ selector, matches, score }) => ({ selector, matches, score: Math.round(score * 100) / 100 }));
+}
+
+// The names in a selector worth comparing against the page: ids and classes, quoted values, or the text
+function selectorTokens(selector) {
+  if (selector.startsWith('text/')) return [selector.slice(5)];
+
+  const quoted = [...selector.matchAll(/(['"])(.*?)\1/g)].map(match => match[2]);
+  const named = [...selector.matchAll(/[#.]((?:\\.|[\w-])+)/g)].map(match => match[1].replace(/\\/g, ''));
+  const tokens = [...named, ...quoted].filter(Boolean);
+  return tokens.length > 0 ? tokens : selector.match(/[a-z][\w-]{2,}/gi) || [];
+}
+
+// ELEMENT_NOT_FOUND with the closest ids/classes (or texts) on the page so the caller can retry
+export async function elementNotFound(page, selector) {
+  const tokens = selectorTokens(selector);
+  const candidates = tokens.length > 0
+    ? await page.evaluate(findSimilar, tokens, selector.startsWith('text/'), MAX_CANDIDATES).catch(() => [])
+    : [];
+
+  const hint = candidates.length > 0 ? ` (similar: ${candidates.map(candidate => candidate.selector).join(', ')})` : '';
+  return createError(`Element not found: ${selector}${hint}`, 'ELEMENT_NOT_FOUND', { selector, candidates });
+}
+
+// The element's box grown by `padding` and kept inside the document, in document CSS pixels
+export async function elementClip(element, padding = 0) {
+  const box = await element.evaluate((node, pad) => {
+    const rect = node.getBoundingClientRect();
+    const root = document.documentElement;
+    const x = rect.x + window.scrollX;
+    const y = rect.y + window.scrollY;
+    const left = Math.max(0, x - pad);
+    const top = Math.max(0, y - pad);
+    const right = Math.min(Math.max(root.scrollWidth, x + rect.width), x + rect.width + pad);
+    const bottom = Math.min(Math.max(root.scrollHeight, y + rect.height), y + rect.height + pad);
+    return {
+      element: { x, y, width: rect.width, height: rect.height },
+      clip: { x: left, y: top, width: right - left, height: bottom - top }
+    };
+  }, padding);
+
+  if (box.element.width === 0 || box.element.height === 0) {
+    return null;
+  }
+  return box;
+}
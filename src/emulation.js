@@ -0,0 +1,120 @@
+import { createError } from './utils.js';
+
+const MEDIA_FEATURES = {
+  colorScheme: { feature: 'prefers-color-scheme', values: ['light', 'dark', 'no-preference'] },
+  reducedMotion: { feature: 'prefers-reduced-motion', values: ['reduce', 'no-preference'] },
+  forcedColors: { feature: 'forced-colors', values: ['active', 'none'] }
+};
+
+const MEDIA_TYPES = ['screen', 'print'];
+
+function invalid(message, details = {}) {
+  return createError(message, 'INVALID_EMULATION', details);
+}
+
+// Validate the emulation settings of a viewport config; null when there are none
+export function prepareEmulation(viewport = {}) {
+  const emulation = {};
+
+  for (const [key, { values }] of Object.entries(MEDIA_FEATURES)) {
+    if (viewport[key] === undefined) continue;
+    if (!values.includes(viewport[key])) {
+      throw invalid(`${key} must be one of ${values.join(', ')}`, { [key]: viewport[key] });
+    }
+    emulation[key] = viewport[key];
+  }
+
+  if (viewport.media !== undefined) {
+    if (!MEDIA_TYPES.includes(viewport.media)) {
+      throw invalid(`media must be one of ${MEDIA_TYPES.join(', ')}`, { media: viewport.media });
+    }
+    emulation.media = viewport.media;
+  }
+
+  if (viewport.locale !== undefined) {
+    try {
+      [emulation.locale] = Intl.getCanonicalLocales(viewport.locale);
+    } catch (err) {
+      throw invalid(`Invalid locale: ${viewport.locale}`, { locale: viewport.locale });
+    }
+  }
+
+  if (viewport.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: viewport.timezone });
+    } catch (err) {
+      throw invalid(`Invalid timezone: ${viewport.timezone}`, { timezone: viewport.timezone });
+    }
+    emulation.timezone = viewport.timezone;
+  }
+
+  if (viewport.geolocation !== undefined) {
+    const { latitude, longitude, accuracy = 0 } = viewport.geolocation || {};
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90
+      || typeof longitude !== 'number' || longitude < -180 || longitude > 180
+      || typeof accuracy !== 'number' || accuracy < 0) {
+      throw invalid('geolocation needs a latitude (-90 to 90), a longitude (-180 to 180) and an optional accuracy >= 0');
+    }
+    emulation.geolocation = { latitude, longitude, accuracy };
+  }
+
+  const permissions = [
+    ...(emulation.geolocation ? ['geolocation'] : []),
+    ...(viewport.permissions || [])
+  ];
+  if (permissions.length > 0) {
+    emulation.permissions = [...new Set(permissions)];
+  }
+
+  return Object.keys(emulation).length > 0 ? emulation : null;
+}
+
+// `de-DE` -> `de-DE,de;q=0.9`
+export function acceptLanguage(locale) {
+  const language = locale.split('-')[0];
+  return language === locale ? locale : `${locale},${language};q=0.9`;
+}
+
+// Returns the CDP session opened for the locale override (null without one); detach it on release
+export async function applyEmulation(page, url, emulation) {
+  let client = null;
+  const features = Object.entries(MEDIA_FEATURES)
+    .filter(([key]) => emulation[key])
+    .map(([key, { feature }]) => ({ name: feature, value: emulation[key] }));
+  if (features.length > 0) {
+    await page.emulateMediaFeatures(features);
+  }
+
+  if (emulation.media) {
+    await page.emulateMediaType(emulation.media);
+  }
+
+  if (emulation.locale) {
+    // * Intl formatting follows the locale override; navigator.language(s) are patched to match
+    client = await page.createCDPSession();
+    await client.send('Emulation.setLocaleOverride', { locale: emulation.locale });
+    await page.evaluateOnNewDocument(locale => {
+      const languages = [...new Set([locale, locale.split('-')[0]])];
+      Object.defineProperty(Navigator.prototype, 'language', { get: () => locale, configurable: true });
+      Object.defineProperty(Navigator.prototype, 'languages', { get: () => languages, configurable: true });
+    }, emulation.locale);
+  }
+
+  if (emulation.timezone) {
+    await page.emulateTimezone(emulation.timezone);
+  }
+
+  if (emulation.permissions) {
+    try {
+      await page.browserContext().overridePermissions(new URL(url).origin, emulation.permissions);
+    } catch (err) {
+      throw invalid(`Invalid permissions: ${err.message}`, { permissions: emulation.permissions });
+    }
+  }
+
+  if (emulation.geolocation) {
+    await page.setGeolocation(emulation.geolocation);
+  }
+
+  return client;
+}
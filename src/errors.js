@@ -0,0 +1,99 @@
+import { createError } from './utils.js';
+
+// Chromium net:: errors grouped into the codes clients act on
+const NET_ERRORS = [
+  [/^ERR_NAME_(NOT_RESOLVED|RESOLUTION_FAILED)$/, 'DNS_LOOKUP_FAILED'],
+  [/^ERR_(CONNECTION_\w+|ADDRESS_UNREACHABLE|INTERNET_DISCONNECTED|NETWORK_CHANGED|EMPTY_RESPONSE|TIMED_OUT)$/, 'CONNECTION_FAILED'],
+  [/^ERR_(CERT_\w+|SSL_\w+|BAD_SSL_CLIENT_AUTH_CERT)$/, 'TLS_ERROR'],
+  [/^ERR_TOO_MANY_REDIRECTS$/, 'TOO_MANY_REDIRECTS']
+];
+
+// Failures that may go away by trying again unchanged; the rest need different arguments
+const TRANSIENT_CODES = new Set(['NAVIGATION_TIMEOUT', 'CONNECTION_FAILED', 'QUEUE_TIMEOUT', 'RATE_LIMIT_EXCEEDED']);
+
+const MAX_RETRIES = 5;
+// Longest single wait between attempts; the wait holds a page slot, so keep it short
+const MAX_BACKOFF = 10000;
+
+// Give a page.goto failure a code: timeout, DNS, connection, TLS or generic navigation failure
+export function navigationError(error, url, timeout) {
+  if (error.details) return error;
+
+  if (error.name === 'TimeoutError') {
+    return createError(`Navigation to ${url} timed out after ${timeout}ms`, 'NAVIGATION_TIMEOUT', { url, timeout });
+  }
+
+  const netError = /net::(ERR_[A-Z_]+)/.exec(error.message)?.[1];
+  const code = netError && NET_ERRORS.find(([pattern]) => pattern.test(netError))?.[1];
+  return createError(`Navigation to ${url} failed: ${error.message}`, code || 'NAVIGATION_FAILED', {
+    url,
+    ...(netError && { netError }),
+    originalError: error.message
+  });
+}
+
+export function httpError(status, url) {
+  return createError(`${url} responded with HTTP ${status}`, 'HTTP_ERROR', { url, status });
+}
+
+// A `waitFor` condition that never came true, or couldn't be evaluated
+export function waitError(error, waitFor) {
+  if (error.details) return error;
+
+  if (error.name === 'TimeoutError') {
+    return createError(
+      `Wait condition (${waitFor.type}) not met within ${waitFor.timeout ?? 10000}ms`,
+      'WAIT_TIMEOUT',
+      { waitFor, originalError: error.message }
+    );
+  }
+  return createError(`Wait condition (${waitFor.type}) failed: ${error.message}`, 'WAIT_FAILED', { waitFor, originalError: error.message });
+}
+
+// HTTP 429 and 5xx are worth retrying; other 4xx won't change
+export function isRetryable(error) {
+  if (error.code === 'HTTP_ERROR') {
+    return error.details?.status === 429 || error.details?.status >= 500;
+  }
+  return TRANSIENT_CODES.has(error.code);
+}
+
+// `retries` extra attempts, waiting `retryDelay` ms before the first and doubling after each
+export function normalizeRetryOptions(options = {}, defaultRetries = 0) {
+  const retries = options.retries ?? defaultRetries;
+  const retryDelay = options.retryDelay ?? 1000;
+
+  if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES) {
+    throw createError(`retries must be between 0 and ${MAX_RETRIES}`, 'INVALID_RETRY', { retries });
+  }
+  if (typeof retryDelay !== 'number' || retryDelay < 0 || retryDelay > MAX_BACKOFF) {
+    throw createError(`retryDelay must be between 0 and ${MAX_BACKOFF} milliseconds`, 'INVALID_RETRY', { retryDelay });
+  }
+
+  return { retries, retryDelay };
+}
+
+// Wait before retry `attempt` (1-based): doubling from `retryDelay`, but never more than
+// MAX_BACKOFF or a third of the navigation timeout
+export function retryBackoff(attempt, retryDelay, timeout) {
+  return Math.min(retryDelay * 2 ** (attempt - 1), MAX_BACKOFF, Math.floor(timeout / 3));
+}
+
+// Keep errors that already carry a code and details; wrap anything else (Puppeteer, sharp) under `code`
+export function wrapError(error, message, code, details = {}) {
+  if (error.details) return error;
+  return createError(`${message}: ${error.message}`, code, { ...details, originalError: error.message });
+}
+
+// The error as reported to MCP clients
+export function describeError(error) {
+  const code = error.details || typeof error.code === 'string' ? error.code : 'SCREENSHOT_ERROR';
+  const details = error.details && Object.keys(error.details).length > 0 ? error.details : null;
+
+  return {
+    code,
+    message: error.message,
+    retryable: isRetryable({ code, details }),
+    ...(details && { details })
+  };
+}
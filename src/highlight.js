@@ -0,0 +1,71 @@
+import { sanitizeSelector, createError } from './utils.js';
+
+// One color per highlighted selector, reused in order
+export const HIGHLIGHT_COLORS = ['#E6194B', '#3CB44B', '#4363D8', '#F58231', '#911EB4', '#008080', '#9A6324', '#800000'];
+
+export function prepareHighlights(highlight) {
+  if (!highlight || highlight.length === 0) return null;
+
+  return highlight.map((selector, index) => {
+    const validated = typeof selector === 'string' ? sanitizeSelector(selector) : null;
+    if (!validated) {
+      throw createError(`Highlight ${index} must be a CSS selector`, 'INVALID_HIGHLIGHT', { highlight: index });
+    }
+    return validated;
+  });
+}
+
+// Runs in the page: visible matches of each selector in document CSS pixels
+function findHighlights(selectors, maxHighlights) {
+  const found = [];
+
+  selectors.forEach((selector, selectorIndex) => {
+    let elements;
+    try {
+      elements = [...document.querySelectorAll(selector)];
+    } catch (err) {
+      found.push({ selectorIndex, error: `Invalid selector: ${selector}` });
+      return;
+    }
+
+    elements.forEach((element, matchIndex) => {
+      const rect = element.getBoundingClientRect();
+      const style = getComputedStyle(element);
+      if (rect.width === 0 || rect.height === 0 || style.visibility === 'hidden' || style.display === 'none') return;
+      if (found.filter(item => !item.error).length >= maxHighlights) return;
+
+      found.push({
+        selectorIndex,
+        matchIndex,
+        tag: element.tagName.toLowerCase(),
+        text: (element.innerText || element.value || element.getAttribute('aria-label') || element.getAttribute('alt') || '')
+          .replace(/\s+/g, ' ')
+          .trim()
+          .slice(0, 100) || null,
+        box: { x: rect.x + window.scrollX, y: rect.y + window.scrollY, width: rect.width, height: rect.height }
+      });
+    });
+  });
+
+  return found;
+}
+
+// Number every visible match; the legend maps numbers back to selectors and text
+export async function resolveHighlights(page, selectors, options = {}) {
+  const found = await page.evaluate(findHighlights, selectors, options.maxHighlights ?? 50);
+
+  const invalid = found.find(item => item.error);
+  if (invalid) {
+    throw createError(invalid.error, 'INVALID_HIGHLIGHT', { highlight: invalid.selectorIndex });
+  }
+
+  return found.map((item, index) => ({
+    number: index + 1,
+    selector: selectors[item.selectorIndex],
+    match: item.matchIndex,
+    tag: item.tag,
+    text: item.text,
+    color: HIGHLIGHT_COLORS[item.selectorIndex % HIGHLIGHT_COLORS.length],
+    box: item.box
+  }));
+}
@@ -0,0 +1,102 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import http from 'node:http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+const digest = value => createHash('sha256').update(value).digest();
+
+// * Compare digests so the check takes the same time whatever the token length
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+  return Boolean(match) && timingSafeEqual(digest(match[1]), digest(token));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Serve MCP over HTTP with the SSE transport: every GET /sse opens a session with its own
+// MCP server from `createServer`, and the client POSTs its messages to /messages?sessionId=….
+// Sessions share everything `createServer` closes over, i.e. one browser for all clients.
+export function startHttpServer(options) {
+  const { createServer, port, host, token, stats = () => ({}), isIdle = () => true } = options;
+  const sessions = new Map();
+  const startedAt = Date.now();
+  let closing = false;
+
+  const httpServer = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    try {
+      // * Unauthenticated so container health checks don't need the token
+      if (req.method === 'GET' && pathname === '/health') {
+        return sendJson(res, closing ? 503 : 200, {
+          status: closing ? 'shutting_down' : 'ok',
+          uptime: Math.round((Date.now() - startedAt) / 1000),
+          sessions: sessions.size,
+          ...stats()
+        });
+      }
+
+      if (!isAuthorized(req, token)) {
+        return sendJson(res, 401, { error: 'Missing or invalid bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+      }
+
+      if (req.method === 'GET' && pathname === SSE_PATH) {
+        if (closing) {
+          return sendJson(res, 503, { error: 'Server is shutting down' });
+        }
+
+        const transport = new SSEServerTransport(MESSAGES_PATH, res);
+        const server = createServer();
+        server.onclose = () => sessions.delete(transport.sessionId);
+        sessions.set(transport.sessionId, transport);
+        await server.connect(transport);
+        return;
+      }
+
+      if (req.method === 'POST' && pathname === MESSAGES_PATH) {
+        const transport = sessions.get(searchParams.get('sessionId'));
+        if (!transport) {
+          return sendJson(res, 404, { error: 'Unknown or expired session' });
+        }
+        await transport.handlePostMessage(req, res);
+        return;
+      }
+
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message });
+      }
+    }
+  });
+
+  // Stop accepting sessions, give running captures up to `timeout` ms to finish
+  // (their results still reach the clients), then end every SSE stream
+  async function close(timeout = 10000) {
+    closing = true;
+    const stopped = new Promise(resolve => httpServer.close(resolve));
+
+    const deadline = Date.now() + timeout;
+    while (!isIdle() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await Promise.all([...sessions.values()].map(transport => transport.close().catch(() => {})));
+    httpServer.closeAllConnections?.();
+    await stopped;
+  }
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve({ address: httpServer.address(), sessions, close });
+    });
+  });
+}
@@ -0,0 +1,263 @@
+import sharp from 'sharp';
+import { createError } from './utils.js';
+
+const MAX_IMAGE_DIMENSION = 8000;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    "'": '&apos;',
+    '"': '&quot;'
+  }[char]));
+}
+
+// Compose labelled images side by side, top-aligned, on a white background
+export async function createContactSheet(items, options = {}) {
+  const gap = options.gap ?? 40;
+  const labelHeight = options.labelHeight ?? 48;
+
+  try {
+    // * Scale each capture back to CSS pixels so viewports are shown at their relative sizes
+    const tiles = await Promise.all(items.map(async ({ buffer, label, scale = 1 }) => {
+      const { width, height } = await sharp(buffer).metadata();
+      const tileWidth = Math.max(1, Math.round(width / scale));
+      const tileHeight = Math.max(1, Math.round(height / scale));
+      const resized = scale === 1
+        ? buffer
+        : await sharp(buffer).resize({ width: tileWidth, height: tileHeight }).png().toBuffer();
+      return { buffer: resized, label, width: tileWidth, height: tileHeight };
+    }));
+
+    const sheetWidth = tiles.reduce((sum, tile) => sum + tile.width, 0) + gap * (tiles.length + 1);
+    const sheetHeight = Math.max(...tiles.map(tile => tile.height)) + labelHeight + gap * 2;
+
+    const composites = [];
+    let left = gap;
+    for (const tile of tiles) {
+      const labelSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${tile.width}" height="${labelHeight}">` +
+        `<text x="0" y="${Math.round(labelHeight * 0.65)}" font-family="sans-serif" font-size="${Math.round(labelHeight * 0.5)}" fill="#333">` +
+        `${escapeXml(tile.label)}</text></svg>`;
+      composites.push({ input: Buffer.from(labelSvg), left, top: gap });
+      composites.push({ input: tile.buffer, left, top: gap + labelHeight });
+      left += tile.width + gap;
+    }
+
+    let sheet = await sharp({
+      create: { width: sheetWidth, height: sheetHeight, channels: 4, background: '#ffffff' }
+    })
+      .composite(composites)
+      .png()
+      .toBuffer();
+
+    // * Keep the sheet within the same 8000x8000 limit as single captures
+    if (sheetWidth > MAX_IMAGE_DIMENSION || sheetHeight > MAX_IMAGE_DIMENSION) {
+      sheet = await sharp(sheet)
+        .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside' })
+        .png()
+        .toBuffer();
+    }
+
+    return sheet;
+  } catch (err) {
+    throw createError('Failed to compose contact sheet', 'CONTACT_SHEET_ERROR', { originalError: err.message });
+  }
+}
+
+export const IMAGE_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+function encoder(image, format, quality) {
+  switch (format) {
+    case 'jpeg':
+      return image.jpeg({ quality, mozjpeg: true });
+    case 'webp':
+      return image.webp({ quality });
+    default:
+      return image.png();
+  }
+}
+
+// Downscale that fits an image within 8000x8000 and the requested max width, never upscaling
+export function fitScale(width, height, options = {}) {
+  const scale = Math.min(1, MAX_IMAGE_DIMENSION / width, MAX_IMAGE_DIMENSION / height);
+  return options.maxWidth ? Math.min(scale, options.maxWidth / width) : scale;
+}
+
+// Encode a captured PNG into the requested format, fitting the size limits
+export async function encodeImage(buffer, options = {}) {
+  const format = options.format || 'png';
+  if (!IMAGE_FORMATS[format]) {
+    throw createError(`Unsupported image format: ${format}`, 'INVALID_FORMAT');
+  }
+
+  let quality = options.quality ?? 80;
+  if (quality < 1 || quality > 100) {
+    throw createError('Quality must be between 1 and 100', 'INVALID_QUALITY');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw createError('Failed to read screenshot metadata', 'IMAGE_METADATA_ERROR', { originalError: err.message });
+  }
+
+  let scale = fitScale(metadata.width, metadata.height, options);
+
+  const render = async () => {
+    const width = Math.max(1, Math.floor(metadata.width * scale));
+    const height = Math.max(1, Math.floor(metadata.height * scale));
+    // * Nothing to do for a PNG that already fits
+    if (format === 'png' && scale === 1) {
+      return { data: buffer, width, height };
+    }
+    let image = sharp(buffer);
+    if (scale < 1) {
+      image = image.resize({ width, height });
+    }
+    try {
+      return { data: await encoder(image, format, quality).toBuffer(), width, height };
+    } catch (err) {
+      throw createError('Failed to encode screenshot image', 'IMAGE_ENCODE_ERROR', { originalError: err.message });
+    }
+  };
+
+  let output = await render();
+
+  // * Meet a byte budget by lowering quality first (lossy formats), then shrinking
+  if (options.maxBytes) {
+    for (let attempt = 0; attempt < 10 && output.data.length > options.maxBytes; attempt++) {
+      if (format !== 'png' && quality > 40) {
+        quality = Math.max(40, quality - 15);
+      } else {
+        scale *= Math.max(0.5, Math.min(0.9, Math.sqrt(options.maxBytes / output.data.length)));
+      }
+      output = await render();
+    }
+  }
+
+  return {
+    buffer: output.data,
+    mimeType: IMAGE_FORMATS[format],
+    format,
+    quality: format === 'png' ? null : quality,
+    width: output.width,
+    height: output.height,
+    originalWidth: metadata.width,
+    originalHeight: metadata.height,
+    bytes: output.data.length,
+    withinMaxBytes: options.maxBytes ? output.data.length <= options.maxBytes : true
+  };
+}
+
+// The top of a capture scaled down to `width`, at most twice as tall as wide, as JPEG
+export async function createThumbnail(buffer, { width: maxWidth = 320, quality = 70 } = {}) {
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    return await sharp(buffer)
+      .extract({ left: 0, top: 0, width, height: Math.min(height, width * 2) })
+      .resize({ width: Math.min(width, maxWidth) })
+      .jpeg({ quality })
+      .toBuffer();
+  } catch (err) {
+    throw createError('Failed to create thumbnail', 'IMAGE_ENCODE_ERROR', { originalError: err.message });
+  }
+}
+
+// Paint solid boxes (in CSS pixels, multiplied by `scale`) over a PNG
+export async function paintMasks(buffer, boxes, options = {}) {
+  if (boxes.length === 0) {
+    return buffer;
+  }
+
+  const scale = options.scale || 1;
+
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    const composites = boxes
+      .map(box => {
+        const left = Math.min(width, Math.round(box.x * scale));
+        const top = Math.min(height, Math.round(box.y * scale));
+        return {
+          left,
+          top,
+          width: Math.min(width - left, Math.round(box.width * scale)),
+          height: Math.min(height - top, Math.round(box.height * scale))
+        };
+      })
+      .filter(box => box.width > 0 && box.height > 0)
+      .map(({ left, top, width: boxWidth, height: boxHeight }) => ({
+        input: { create: { width: boxWidth, height: boxHeight, channels: 4, background: options.color } },
+        left,
+        top
+      }));
+
+    return await sharp(buffer).composite(composites).png().toBuffer();
+  } catch (err) {
+    throw createError('Failed to paint masks', 'MASK_ERROR', { originalError: err.message });
+  }
+}
+
+// Draw outlined boxes (in CSS pixels, multiplied by `scale`) with optional numbered badges
+export async function drawOutlines(buffer, items, options = {}) {
+  if (items.length === 0) {
+    return buffer;
+  }
+
+  const scale = options.scale || 1;
+  const stroke = Math.max(2, Math.round(2 * scale));
+  const badgeHeight = Math.round(18 * scale);
+  const fontSize = Math.round(12 * scale);
+
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    const composites = [];
+
+    for (const item of items) {
+      const left = Math.max(0, Math.round(item.x * scale));
+      const top = Math.max(0, Math.round(item.y * scale));
+      const boxWidth = Math.min(width - left, Math.round((item.x + item.width) * scale) - left);
+      const boxHeight = Math.min(height - top, Math.round((item.y + item.height) * scale) - top);
+      if (boxWidth <= 0 || boxHeight <= 0) continue;
+
+      const color = escapeXml(item.color || '#FF0000');
+      composites.push({
+        input: Buffer.from(
+          `<svg xmlns="http://www.w3.org/2000/svg" width="${boxWidth}" height="${boxHeight}">` +
+          `<rect x="${stroke / 2}" y="${stroke / 2}" width="${Math.max(0, boxWidth - stroke)}" height="${Math.max(0, boxHeight - stroke)}" ` +
+          `fill="none" stroke="${color}" stroke-width="${stroke}"/></svg>`
+        ),
+        left,
+        top
+      });
+
+      if (item.label !== undefined) {
+        const text = escapeXml(item.label);
+        const badgeWidth = Math.min(width - left, Math.round((String(item.label).length * 7 + 10) * scale));
+        // * Sit on top of the box when there is room, otherwise inside its top-left corner
+        const badgeTop = top >= badgeHeight ? top - badgeHeight : top;
+        if (badgeWidth > 0 && badgeTop + badgeHeight <= height) {
+          composites.push({
+            input: Buffer.from(
+              `<svg xmlns="http://www.w3.org/2000/svg" width="${badgeWidth}" height="${badgeHeight}">` +
+              `<rect width="${badgeWidth}" height="${badgeHeight}" fill="${color}"/>` +
+              `<text x="${Math.round(5 * scale)}" y="${Math.round(badgeHeight * 0.72)}" font-family="sans-serif" ` +
+              `font-size="${fontSize}" font-weight="bold" fill="#ffffff">${text}</text></svg>`
+            ),
+            left,
+            top: badgeTop
+          });
+        }
+      }
+    }
+
+    return await sharp(buffer).composite(composites).png().toBuffer();
+  } catch (err) {
+    throw createError('Failed to draw outlines', 'ANNOTATION_ERROR', { originalError: err.message });
+  }
+}
@@ -0,0 +1,172 @@
+import { cssPathHandle } from './dom.js';
+import { sanitizeSelector, createError } from './utils.js';
+
+// Runs in the page: describe elements under `root` (or the document) in document CSS pixels
+function collectElements(root, { selector, maxElements }, cssPath) {
+  const scope = root || document.body;
+
+  const implicitRoles = {
+    a: element => (element.hasAttribute('href') ? 'link' : null),
+    button: () => 'button',
+    nav: () => 'navigation',
+    main: () => 'main',
+    header: () => 'banner',
+    footer: () => 'contentinfo',
+    aside: () => 'complementary',
+    form: () => 'form',
+    img: element => (element.getAttribute('alt') === '' ? 'presentation' : 'img'),
+    ul: () => 'list',
+    ol: () => 'list',
+    li: () => 'listitem',
+    table: () => 'table',
+    select: () => 'combobox',
+    textarea: () => 'textbox',
+    dialog: () => 'dialog',
+    input: element => ({
+      checkbox: 'checkbox',
+      radio: 'radio',
+      button: 'button',
+      submit: 'button',
+      reset: 'button',
+      image: 'button',
+      range: 'slider',
+      search: 'searchbox',
+      hidden: null
+    }[element.type] ?? 'textbox')
+  };
+
+  const roleOf = element => {
+    const tag = element.tagName.toLowerCase();
+    if (element.getAttribute('role')) return element.getAttribute('role');
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+    return implicitRoles[tag] ? implicitRoles[tag](element) : null;
+  };
+
+  const isVisible = (element, style) => {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0
+      && style.visibility !== 'hidden' && style.display !== 'none' && Number(style.opacity) > 0;
+  };
+
+  // Text rendered by the element itself, not its descendants
+  const ownText = element => {
+    if (['input', 'textarea', 'select'].includes(element.tagName.toLowerCase())) {
+      return element.value || element.getAttribute('placeholder') || '';
+    }
+    return [...element.childNodes]
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .map(node => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  };
+
+  const MEDIA_TAGS = ['img', 'svg', 'video', 'canvas', 'iframe', 'input', 'textarea', 'select', 'button'];
+
+  // * Without a selector, keep only elements that render something meaningful
+  const isMeaningful = (element, style, text) => text
+    || MEDIA_TAGS.includes(element.tagName.toLowerCase())
+    || element.hasAttribute('role')
+    || element.tagName.toLowerCase() === 'a'
+    || (style.backgroundColor !== 'rgba(0, 0, 0, 0)' && style.backgroundColor !== 'transparent')
+    || style.backgroundImage !== 'none'
+    || parseFloat(style.borderTopWidth) > 0;
+
+  const candidates = selector
+    ? [...(root ? [root].filter(element => element.matches(selector)) : []), ...scope.querySelectorAll(selector)]
+    : [scope, ...scope.querySelectorAll('*')];
+
+  const ids = new Map();
+  const elements = [];
+  let total = 0;
+
+  for (const element of candidates) {
+    if (element.closest('svg') && element.tagName.toLowerCase() !== 'svg') continue;
+
+    const style = getComputedStyle(element);
+    const visible = isVisible(element, style);
+    const text = ownText(element).slice(0, 200);
+    if (!selector && (!visible || !isMeaningful(element, style, text))) continue;
+
+    total++;
+    if (elements.length >= maxElements) continue;
+
+    const rect = element.getBoundingClientRect();
+    let parent = null;
+    for (let node = element.parentElement; node; node = node.parentElement) {
+      if (ids.has(node)) {
+        parent = ids.get(node);
+        break;
+      }
+    }
+
+    const id = elements.length + 1;
+    ids.set(element, id);
+    elements.push({
+      id,
+      parent,
+      tag: element.tagName.toLowerCase(),
+      role: roleOf(element),
+      selector: cssPath(element),
+      text: text || null,
+      ...(selector && { visible }),
+      box: { x: rect.x + window.scrollX, y: rect.y + window.scrollY, width: rect.width, height: rect.height },
+      styles: {
+        fontFamily: style.fontFamily,
+        fontSize: style.fontSize,
+        fontWeight: style.fontWeight,
+        lineHeight: style.lineHeight,
+        color: style.color,
+        backgroundColor: style.backgroundColor,
+        display: style.display,
+        position: style.position
+      }
+    });
+  }
+
+  return { total, elements };
+}
+
+// `includeLayout: true` or `{ selector, maxElements }`
+export function normalizeLayoutOptions(value) {
+  if (!value) return null;
+
+  const options = value === true ? {} : value;
+  return {
+    selector: options.selector ? sanitizeSelector(options.selector) : null,
+    maxElements: options.maxElements ?? 500
+  };
+}
+
+// Element boxes in image pixels: document CSS pixels relative to `origin`, times `scale`
+export async function extractLayout(page, options = {}) {
+  const { selector = null, maxElements = 500, scale = 1, root = null, origin = null } = options;
+
+  let result;
+  let cssPath = null;
+  try {
+    cssPath = await cssPathHandle(page);
+    result = await page.evaluate(collectElements, root, { selector, maxElements }, cssPath);
+  } catch (err) {
+    throw createError(`Failed to extract page structure: ${err.message}`, 'LAYOUT_ERROR', { selector, originalError: err.message });
+  } finally {
+    await cssPath?.dispose().catch(() => {});
+  }
+
+  const toImage = value => Math.round(value * scale);
+
+  return {
+    scale,
+    total: result.total,
+    truncated: result.total > result.elements.length,
+    elements: result.elements.map(element => ({
+      ...element,
+      box: {
+        x: toImage(element.box.x - (origin?.x || 0)),
+        y: toImage(element.box.y - (origin?.y || 0)),
+        width: toImage(element.box.width),
+        height: toImage(element.box.height)
+      }
+    }))
+  };
+}
@@ -0,0 +1,102 @@
+import { sanitizeSelector, createError } from './utils.js';
+
+export const DEFAULT_MASK_COLOR = '#FF00FF';
+
+function isRect(item) {
+  return item && typeof item === 'object'
+    && ['x', 'y', 'width', 'height'].every(key => typeof item[key] === 'number')
+    && item.width > 0 && item.height > 0;
+}
+
+// Split `mask` into selectors and pixel rectangles and validate `hide` selectors
+export function prepareMasks(options = {}) {
+  const mask = options.mask || [];
+  const hide = options.hide || [];
+
+  const selectors = [];
+  const rects = [];
+  mask.forEach((item, index) => {
+    if (typeof item === 'string') {
+      selectors.push(sanitizeSelector(item));
+    } else if (isRect(item)) {
+      rects.push({ x: item.x, y: item.y, width: item.width, height: item.height });
+    } else {
+      throw createError(
+        `Mask ${index} must be a CSS selector or a { x, y, width, height } rectangle`,
+        'INVALID_MASK',
+        { mask: index }
+      );
+    }
+  });
+
+  const hidden = hide.map(selector => {
+    if (typeof selector !== 'string') {
+      throw createError('hide takes CSS selectors', 'INVALID_MASK');
+    }
+    return sanitizeSelector(selector);
+  });
+
+  if (selectors.length === 0 && rects.length === 0 && hidden.length === 0) {
+    return null;
+  }
+
+  return { selectors, rects, hide: hidden.filter(Boolean), color: options.maskColor || DEFAULT_MASK_COLOR };
+}
+
+export async function hideElements(page, selectors) {
+  if (selectors.length === 0) return;
+
+  // * One rule per selector so a single invalid selector doesn't drop the others
+  await page.addStyleTag({
+    content: selectors.map(selector => `${selector} { visibility: hidden !important; }`).join('\n')
+  });
+}
+
+// Boxes of every element matching the mask selectors, in document CSS pixels
+function findBoxes(selectors) {
+  const boxes = [];
+  for (const selector of selectors) {
+    let elements = [];
+    try {
+      elements = document.querySelectorAll(selector);
+    } catch (err) {
+      continue;
+    }
+    for (const element of elements) {
+      const rect = element.getBoundingClientRect();
+      if (rect.width > 0 && rect.height > 0) {
+        boxes.push({
+          selector,
+          x: rect.x + window.scrollX,
+          y: rect.y + window.scrollY,
+          width: rect.width,
+          height: rect.height
+        });
+      }
+    }
+  }
+  return boxes;
+}
+
+// Resolve masks to boxes relative to the captured area. Rectangles are given in the
+// captured image's CSS pixels; `origin` is the element box for element captures.
+export async function resolveMaskBoxes(page, masks, origin = null) {
+  const elementBoxes = masks.selectors.length > 0 ? await page.evaluate(findBoxes, masks.selectors) : [];
+
+  const relative = elementBoxes.map(box => ({
+    ...box,
+    x: box.x - (origin?.x || 0),
+    y: box.y - (origin?.y || 0)
+  }));
+
+  return [...relative, ...masks.rects]
+    .map(box => {
+      // * Clip to the captured area
+      const x = Math.round(Math.max(0, box.x));
+      const y = Math.round(Math.max(0, box.y));
+      const right = Math.round(origin ? Math.min(box.x + box.width, origin.width) : box.x + box.width);
+      const bottom = Math.round(origin ? Math.min(box.y + box.height, origin.height) : box.y + box.height);
+      return { ...box, x, y, width: right - x, height: bottom - y };
+    })
+    .filter(box => box.width > 0 && box.height > 0);
+}
@@ -0,0 +1,225 @@
+import { readFile, realpath } from 'node:fs/promises';
+import path from 'node:path';
+import { createError } from './utils.js';
+
+// Common analytics and ad hosts blocked by `blockAnalytics` (subdomains included)
+export const ANALYTICS_DOMAINS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googlesyndication.com',
+  'googleadservices.com',
+  'doubleclick.net',
+  'adservice.google.com',
+  'analytics.google.com',
+  'connect.facebook.net',
+  'facebook.com/tr',
+  'hotjar.com',
+  'segment.com',
+  'segment.io',
+  'mixpanel.com',
+  'amplitude.com',
+  'fullstory.com',
+  'clarity.ms',
+  'bat.bing.com',
+  'ads-twitter.com',
+  'analytics.tiktok.com',
+  'snap.licdn.com',
+  'criteo.com',
+  'taboola.com',
+  'outbrain.com',
+  'adnxs.com',
+  'scorecardresearch.com',
+  'quantserve.com'
+];
+
+export const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack',
+  'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other'
+];
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// `*` matches any run of characters; patterns without `*` must match the whole URL
+export function matchesUrlPattern(url, pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(url);
+}
+
+function matchesHost(url, domain) {
+  const { hostname, pathname } = new URL(url);
+  const [host, ...pathParts] = domain.replace(/^\*\./, '').split('/');
+  const hostMatches = hostname === host || hostname.endsWith(`.${host}`);
+  return hostMatches && (pathParts.length === 0 || pathname.startsWith(`/${pathParts.join('/')}`));
+}
+
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go']);
+
+// Approximate the registrable domain as the last two labels (three under ccTLD second levels like co.uk)
+function siteOf(hostname) {
+  const labels = hostname.split('.');
+  const ccSecondLevel = labels.length > 2
+    && labels[labels.length - 1].length === 2
+    && SECOND_LEVEL_LABELS.has(labels[labels.length - 2]);
+  return labels.slice(ccSecondLevel ? -3 : -2).join('.');
+}
+
+// RFC 7230 token characters for header names; values may not contain control characters
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+const HEADER_VALUE = /^[^\x00-\x08\x0a-\x1f\x7f]*$/;
+
+function validateMockResponse(mock, index) {
+  const status = mock.status ?? 200;
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    throw createError(`Mock ${index} status must be an HTTP status code`, 'INVALID_NETWORK_RULE', { mock: index, status });
+  }
+
+  const headers = mock.headers ?? {};
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    throw createError(`Mock ${index} headers must be an object`, 'INVALID_NETWORK_RULE', { mock: index });
+  }
+  // * Puppeteer rejects invalid headers only when the request is answered, long after validation
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HEADER_NAME.test(name) || typeof value !== 'string' || !HEADER_VALUE.test(value)) {
+      throw createError(`Mock ${index} has an invalid header: ${name}`, 'INVALID_NETWORK_RULE', { mock: index, header: name });
+    }
+  }
+  if (mock.contentType !== undefined && (typeof mock.contentType !== 'string' || !HEADER_VALUE.test(mock.contentType))) {
+    throw createError(`Mock ${index} has an invalid contentType`, 'INVALID_NETWORK_RULE', { mock: index });
+  }
+
+  return { status, headers };
+}
+
+// Mock files come from `mocksDir` only (MOCKS_DIR); without it `file` mocks are refused
+async function readMockFile(file, mocksDir, index) {
+  if (!mocksDir) {
+    throw createError(`Mock ${index} uses a file, but mock files are disabled; set MOCKS_DIR to allow them`, 'MOCK_FILE_NOT_ALLOWED', { mock: index });
+  }
+
+  // * Compare real paths so symlinks and `..` can't reach outside the directory
+  let root;
+  let resolved;
+  try {
+    root = await realpath(path.resolve(mocksDir));
+    resolved = await realpath(path.resolve(root, file));
+  } catch (err) {
+    throw createError(`Mock ${index} file not found: ${file}`, 'MOCK_FILE_NOT_FOUND', { mock: index, originalError: err.message });
+  }
+
+  const relative = path.relative(root, resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw createError(`Mock ${index} file is outside MOCKS_DIR: ${file}`, 'MOCK_FILE_NOT_ALLOWED', { mock: index });
+  }
+
+  try {
+    return { body: await readFile(resolved), file: resolved };
+  } catch (err) {
+    throw createError(`Mock ${index} file not found: ${file}`, 'MOCK_FILE_NOT_FOUND', { mock: index, originalError: err.message });
+  }
+}
+
+async function prepareMock(mock, index, mocksDir) {
+  if (!mock || typeof mock.url !== 'string') {
+    throw createError(`Mock ${index} needs a url pattern`, 'INVALID_NETWORK_RULE', { mock: index });
+  }
+  const { status, headers } = validateMockResponse(mock, index);
+
+  let body = '';
+  let contentType = mock.contentType;
+
+  if (mock.file) {
+    let file;
+    ({ body, file } = await readMockFile(mock.file, mocksDir, index));
+    contentType = contentType || CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  } else if (mock.json !== undefined) {
+    body = JSON.stringify(mock.json);
+    contentType = contentType || 'application/json';
+  } else if (mock.body !== undefined) {
+    body = String(mock.body);
+    contentType = contentType || 'text/plain; charset=utf-8';
+  }
+
+  return {
+    index,
+    url: mock.url,
+    method: mock.method ? mock.method.toUpperCase() : null,
+    fromFile: Boolean(mock.file),
+    response: {
+      status,
+      headers: { 'access-control-allow-origin': '*', ...headers },
+      contentType,
+      body
+    }
+  };
+}
+
+export async function prepareNetworkRules(network, { mocksDir = null } = {}) {
+  if (!network) {
+    return null;
+  }
+
+  const invalidTypes = (network.blockResourceTypes || []).filter(type => !RESOURCE_TYPES.includes(type));
+  if (invalidTypes.length > 0) {
+    throw createError(`Unknown resource types: ${invalidTypes.join(', ')}`, 'INVALID_NETWORK_RULE');
+  }
+
+  return {
+    blockResourceTypes: new Set(network.blockResourceTypes || []),
+    blockDomains: [
+      ...(network.blockDomains || []),
+      ...(network.blockAnalytics ? ANALYTICS_DOMAINS : [])
+    ],
+    blockUrls: network.blockUrls || [],
+    blockThirdPartyScripts: network.blockThirdPartyScripts === true,
+    mocks: await Promise.all((network.mocks || []).map((mock, index) => prepareMock(mock, index, mocksDir)))
+  };
+}
+
+// Decide what to do with a request: { action: 'block' | 'mock', ... } or null to let it through
+export function matchNetworkRule(rules, request, pageUrl) {
+  if (!rules) return null;
+
+  const url = request.url();
+  if (!/^https?:/.test(url)) return null;
+
+  // * Mocks win over blocks so a mocked endpoint on a blocked domain still answers
+  const mock = rules.mocks.find(rule => (!rule.method || rule.method === request.method()) && matchesUrlPattern(url, rule.url));
+  if (mock) {
+    return { action: 'mock', rule: `mock:${mock.index}`, response: mock.response, fromFile: mock.fromFile };
+  }
+
+  const resourceType = request.resourceType();
+  if (rules.blockResourceTypes.has(resourceType)) {
+    return { action: 'block', rule: `resourceType:${resourceType}` };
+  }
+
+  const domain = rules.blockDomains.find(pattern => matchesHost(url, pattern));
+  if (domain) {
+    return { action: 'block', rule: `domain:${domain}` };
+  }
+
+  const urlPattern = rules.blockUrls.find(pattern => matchesUrlPattern(url, pattern));
+  if (urlPattern) {
+    return { action: 'block', rule: `url:${urlPattern}` };
+  }
+
+  if (rules.blockThirdPartyScripts && resourceType === 'script'
+    && siteOf(new URL(url).hostname) !== siteOf(new URL(pageUrl).hostname)) {
+    return { action: 'block', rule: 'thirdPartyScript' };
+  }
+
+  return null;
+}
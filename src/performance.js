@@ -0,0 +1,353 @@
+import { PredefinedNetworkConditions } from 'puppeteer';
+import { createContactSheet } from './image.js';
+import { createError } from './utils.js';
+
+const NETWORK_PROFILES = {
+  'slow-3g': PredefinedNetworkConditions['Slow 3G'],
+  'fast-3g': PredefinedNetworkConditions['Fast 3G'],
+  'slow-4g': PredefinedNetworkConditions['Slow 4G'],
+  'fast-4g': PredefinedNetworkConditions['Fast 4G']
+};
+
+// Shorthands for `throttling`; `mobile` matches Lighthouse's mobile defaults
+const THROTTLING_PRESETS = {
+  none: { network: null, cpu: 1 },
+  mobile: { network: 'slow-4g', cpu: 4 },
+  'slow-mobile': { network: 'slow-3g', cpu: 6 },
+  'slow-3g': { network: 'slow-3g', cpu: 1 },
+  'fast-3g': { network: 'fast-3g', cpu: 1 },
+  'slow-4g': { network: 'slow-4g', cpu: 1 },
+  'fast-4g': { network: 'fast-4g', cpu: 1 }
+};
+
+// Good / poor boundaries from web.dev; values in between need improvement
+const THRESHOLDS = {
+  largestContentfulPaint: [2500, 4000],
+  cumulativeLayoutShift: [0.1, 0.25],
+  totalBlockingTime: [200, 600],
+  firstContentfulPaint: [1800, 3000]
+};
+
+const MAX_FILMSTRIP_FRAMES = 20;
+const FRAME_SIZE = 360;
+
+function invalid(message, details = {}) {
+  return createError(message, 'INVALID_PERFORMANCE_OPTIONS', details);
+}
+
+function normalizeNetwork(network) {
+  if (network === null || network === undefined || network === 'none') return null;
+
+  if (typeof network === 'string') {
+    if (!NETWORK_PROFILES[network]) {
+      throw invalid(`network must be one of none, ${Object.keys(NETWORK_PROFILES).join(', ')} or a custom profile`, { network });
+    }
+    return { profile: network, ...NETWORK_PROFILES[network] };
+  }
+
+  // * Custom profiles are in kbps and ms like DevTools; Puppeteer wants bytes per second
+  const { downloadKbps, uploadKbps, latencyMs = 0 } = network;
+  const positive = value => typeof value === 'number' && value > 0;
+  if (!positive(downloadKbps) || !positive(uploadKbps) || typeof latencyMs !== 'number' || latencyMs < 0) {
+    throw invalid('A custom network profile needs positive downloadKbps and uploadKbps and a latencyMs >= 0', { network });
+  }
+  return {
+    profile: 'custom',
+    download: downloadKbps * 1000 / 8,
+    upload: uploadKbps * 1000 / 8,
+    latency: latencyMs
+  };
+}
+
+// `true` or `{ throttling, filmstrip }`; throttling is a preset name or `{ network, cpu }`,
+// filmstrip is `true` or `{ interval, maxFrames }`
+export function normalizePerformanceOptions(value) {
+  if (!value) return null;
+
+  const options = value === true ? {} : value;
+  let throttling = options.throttling ?? 'none';
+  if (typeof throttling === 'string') {
+    if (!THROTTLING_PRESETS[throttling]) {
+      throw invalid(`throttling must be one of ${Object.keys(THROTTLING_PRESETS).join(', ')} or { network, cpu }`, { throttling });
+    }
+    throttling = { preset: throttling, ...THROTTLING_PRESETS[throttling] };
+  }
+
+  const cpu = throttling.cpu ?? 1;
+  if (typeof cpu !== 'number' || cpu < 1 || cpu > 20) {
+    throw invalid('cpu must be a slowdown factor between 1 and 20', { cpu });
+  }
+
+  let filmstrip = null;
+  if (options.filmstrip) {
+    const { interval = 500, maxFrames = 10 } = options.filmstrip === true ? {} : options.filmstrip;
+    if (typeof interval !== 'number' || interval < 100 || interval > 10000) {
+      throw invalid('filmstrip interval must be between 100 and 10000 milliseconds', { interval });
+    }
+    if (!Number.isInteger(maxFrames) || maxFrames < 2 || maxFrames > MAX_FILMSTRIP_FRAMES) {
+      throw invalid(`filmstrip maxFrames must be between 2 and ${MAX_FILMSTRIP_FRAMES}`, { maxFrames });
+    }
+    filmstrip = { interval, maxFrames };
+  }
+
+  return {
+    throttling: {
+      ...(throttling.preset && { preset: throttling.preset }),
+      network: normalizeNetwork(throttling.network),
+      cpu
+    },
+    filmstrip
+  };
+}
+
+// Runs in the page before any of its scripts: buffer LCP, layout shifts and long tasks
+function observePerformance() {
+  const metrics = { lcp: null, shifts: [], longTasks: [] };
+  Object.defineProperty(window, '__screenshotPerformance', { value: metrics });
+
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch (err) {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('largest-contentful-paint', entry => {
+    metrics.lcp = entry;
+  });
+  observe('layout-shift', entry => {
+    if (!entry.hadRecentInput) metrics.shifts.push({ time: entry.startTime, value: entry.value });
+  });
+  observe('longtask', entry => {
+    metrics.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+}
+
+// Runs in the loaded page: navigation timing plus the Web Vitals computed from the observed entries
+function readPerformance() {
+  const metrics = window.__screenshotPerformance || { lcp: null, shifts: [], longTasks: [] };
+  const round = value => (typeof value === 'number' && value > 0 ? Math.round(value) : 0);
+  const paint = name => performance.getEntriesByName(name)[0]?.startTime ?? null;
+
+  const describe = element => {
+    if (!element) return null;
+    const id = element.id ? `#${element.id}` : '';
+    const classes = [...element.classList].slice(0, 2).map(name => `.${name}`).join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  // * CLS is the worst burst: shifts less than 1s apart, within a 5s window
+  let cls = 0;
+  let windowValue = 0;
+  let windowStart = 0;
+  let previous = -Infinity;
+  for (const shift of metrics.shifts) {
+    if (shift.time - previous > 1000 || shift.time - windowStart > 5000) {
+      windowValue = 0;
+      windowStart = shift.time;
+    }
+    windowValue += shift.value;
+    previous = shift.time;
+    cls = Math.max(cls, windowValue);
+  }
+
+  // * TBT counts the part of every long task past 50ms, from first contentful paint on
+  const fcp = paint('first-contentful-paint');
+  let tbt = 0;
+  for (const task of metrics.longTasks) {
+    const blockingStart = Math.max(task.start, fcp ?? 0);
+    tbt += Math.max(0, task.start + task.duration - blockingStart - 50);
+  }
+
+  const [navigation] = performance.getEntriesByType('navigation');
+  return {
+    timing: navigation
+      ? {
+        redirect: round(navigation.redirectEnd - navigation.redirectStart),
+        dnsLookup: round(navigation.domainLookupEnd - navigation.domainLookupStart),
+        connect: round(navigation.connectEnd - navigation.connectStart),
+        tls: navigation.secureConnectionStart > 0 ? round(navigation.connectEnd - navigation.secureConnectionStart) : 0,
+        timeToFirstByte: round(navigation.responseStart),
+        download: round(navigation.responseEnd - navigation.responseStart),
+        domInteractive: round(navigation.domInteractive),
+        domContentLoaded: round(navigation.domContentLoadedEventEnd),
+        load: round(navigation.loadEventEnd),
+        documentTransferSize: navigation.transferSize
+      }
+      : null,
+    firstPaint: paint('first-paint'),
+    firstContentfulPaint: fcp,
+    largestContentfulPaint: metrics.lcp
+      ? {
+        time: metrics.lcp.startTime,
+        size: metrics.lcp.size,
+        element: describe(metrics.lcp.element),
+        ...(metrics.lcp.url && { url: metrics.lcp.url })
+      }
+      : null,
+    cumulativeLayoutShift: cls,
+    layoutShifts: metrics.shifts.length,
+    totalBlockingTime: tbt,
+    longTasks: metrics.longTasks.length
+  };
+}
+
+function rate(metric, value) {
+  if (value === null) return null;
+  const [good, poor] = THRESHOLDS[metric];
+  return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+}
+
+// The latest frame painted by each tick, one tick per `interval` ms, widening the interval
+// so the whole load fits in `maxFrames`
+export function selectFrames(frames, duration, { interval, maxFrames }) {
+  if (frames.length === 0) return [];
+
+  const step = Math.max(interval, Math.ceil(duration / maxFrames / 100) * 100);
+  const selected = [];
+  // * The last tick falls at or after the end of the load, so the final state is included
+  for (let tick = step; tick < duration + step; tick += step) {
+    const frame = frames.filter(candidate => candidate.time <= tick).pop();
+    if (frame) selected.push({ ...frame, tick });
+  }
+  return selected.slice(0, maxFrames);
+}
+
+// Keeps the latest frame per `interval` tick while recording, doubling the interval whenever
+// there are more ticks than `maxFrames`, so a long or busy load holds only a few frames
+function createFrameBuffer({ interval, maxFrames }) {
+  const frames = [];
+  let step = interval;
+  const tickOf = frame => Math.ceil(frame.time / step);
+
+  const thin = () => {
+    const kept = [];
+    for (const frame of frames) {
+      if (kept.length > 0 && tickOf(kept[kept.length - 1]) === tickOf(frame)) kept.pop();
+      kept.push(frame);
+    }
+    frames.splice(0, frames.length, ...kept);
+  };
+
+  return {
+    add(frame) {
+      if (frames.length > 0 && tickOf(frames[frames.length - 1]) === tickOf(frame)) frames.pop();
+      frames.push(frame);
+      while (frames.length > maxFrames + 1) {
+        step *= 2;
+        thin();
+      }
+    },
+    select: duration => selectFrames(frames, Math.max(duration, frames[frames.length - 1]?.time ?? 0), { interval: step, maxFrames })
+  };
+}
+
+// Throttle the page and start recording its load; call before navigating.
+// `report()` reads the metrics, builds the filmstrip and lifts the throttling;
+// the returned `client` is the CDP session to detach if the report never runs.
+export async function monitorPerformance(page, options) {
+  const { throttling, filmstrip } = options;
+  const client = await page.createCDPSession();
+  const requests = new Map();
+  const frames = filmstrip ? createFrameBuffer(filmstrip) : null;
+
+  if (throttling.network) {
+    const { download, upload, latency } = throttling.network;
+    await page.emulateNetworkConditions({ download, upload, latency });
+  }
+  if (throttling.cpu > 1) {
+    await page.emulateCPUThrottling(throttling.cpu);
+  }
+
+  await page.evaluateOnNewDocument(observePerformance);
+
+  // * Count requests and transferred bytes on the wire, including ones served from cache
+  client.on('Network.requestWillBeSent', ({ requestId, type }) => {
+    if (!requests.has(requestId)) {
+      requests.set(requestId, { type: (type || 'Other').toLowerCase(), bytes: 0, failed: false });
+    }
+  });
+  client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+    const request = requests.get(requestId);
+    if (request) request.bytes = encodedDataLength;
+  });
+  client.on('Network.loadingFailed', ({ requestId }) => {
+    const request = requests.get(requestId);
+    if (request) request.failed = true;
+  });
+  await client.send('Network.enable');
+
+  const startedAt = Date.now();
+  if (filmstrip) {
+    client.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+      frames.add({ buffer: Buffer.from(data, 'base64'), time: metadata.timestamp * 1000 - startedAt });
+      client.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+    });
+    await client.send('Page.startScreencast', { format: 'png', maxWidth: FRAME_SIZE, maxHeight: FRAME_SIZE * 2 });
+  }
+
+  return {
+    client,
+    report: async () => {
+      const duration = Date.now() - startedAt;
+      if (filmstrip) {
+        await client.send('Page.stopScreencast').catch(() => {});
+      }
+
+      const measured = await page.evaluate(readPerformance);
+
+      // * Lift the throttling so anything after the measurement (actions, capture) runs at full speed
+      if (throttling.network) {
+        await page.emulateNetworkConditions(null).catch(() => {});
+      }
+      if (throttling.cpu > 1) {
+        await page.emulateCPUThrottling(null).catch(() => {});
+      }
+      await client.detach().catch(() => {});
+
+      const byType = {};
+      let transferSize = 0;
+      let failed = 0;
+      for (const request of requests.values()) {
+        const entry = byType[request.type] || (byType[request.type] = { count: 0, transferSize: 0 });
+        entry.count++;
+        entry.transferSize += request.bytes;
+        transferSize += request.bytes;
+        if (request.failed) failed++;
+      }
+
+      const lcp = measured.largestContentfulPaint;
+      const cls = Math.round(measured.cumulativeLayoutShift * 10000) / 10000;
+      const tbt = Math.round(measured.totalBlockingTime);
+      const fcp = measured.firstContentfulPaint === null ? null : Math.round(measured.firstContentfulPaint);
+
+      const selected = frames ? frames.select(duration) : [];
+      const image = selected.length > 0
+        ? await createContactSheet(
+          selected.map(frame => ({ buffer: frame.buffer, label: `${(frame.tick / 1000).toFixed(1)}s` })),
+          { gap: 16, labelHeight: 28 }
+        )
+        : null;
+
+      return {
+        metrics: {
+          throttling,
+          timing: measured.timing,
+          webVitals: {
+            largestContentfulPaint: lcp
+              ? { value: Math.round(lcp.time), rating: rate('largestContentfulPaint', lcp.time), element: lcp.element, size: lcp.size, ...(lcp.url && { url: lcp.url }) }
+              : { value: null, rating: null },
+            cumulativeLayoutShift: { value: cls, rating: rate('cumulativeLayoutShift', cls), shifts: measured.layoutShifts },
+            totalBlockingTime: { value: tbt, rating: rate('totalBlockingTime', tbt), longTasks: measured.longTasks },
+            firstContentfulPaint: { value: fcp, rating: rate('firstContentfulPaint', fcp) },
+            firstPaint: measured.firstPaint === null ? null : Math.round(measured.firstPaint)
+          },
+          requests: { total: requests.size, failed, transferSize, byType },
+          ...(filmstrip && { filmstrip: { frames: selected.length, times: selected.map(frame => frame.tick) } })
+        },
+        filmstrip: image
+      };
+    }
+  };
+}
@@ -0,0 +1,213 @@
+import { lookup } from 'node:dns/promises';
+import net from 'node:net';
+import { createError } from './utils.js';
+
+const DNS_CACHE_TTL = 60000;
+
+export function parseDomainList(value) {
+  if (!value) return [];
+  return value.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+}
+
+// `example.com` matches only that host, `*.example.com` matches its subdomains, `*` matches everything
+export function matchesDomain(hostname, pattern) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (pattern === '*') return true;
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.slice(1));
+  }
+  return host === pattern;
+}
+
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].map(([base, bits]) => [ipv4ToNumber(base), bits]);
+
+// The eight 16-bit groups of an IPv6 address, expanding `::` and a trailing dotted IPv4 part
+function ipv6Groups(address) {
+  let normalized = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = normalized.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = ipv4ToNumber(dotted[2]);
+    normalized = `${dotted[1]}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = normalized.split('::');
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const left = parse(head);
+  const right = parse(tail);
+  return tail === undefined ? left : [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved addresses
+export function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToNumber(address);
+    return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return value >= base && value < base + size;
+    });
+  }
+
+  if (net.isIPv6(address)) {
+    const groups = ipv6Groups(address);
+    const embedded = (high, low) => isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+
+    // * Forms that carry an IPv4 address: IPv4-compatible (::7f00:1, also :: and ::1),
+    // IPv4-mapped (::ffff:127.0.0.1), NAT64 (64:ff9b::/96) and 6to4 (2002::/16)
+    if (groups.slice(0, 6).every(group => group === 0)
+      || (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff)
+      || (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0))) {
+      return embedded(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+      return embedded(groups[1], groups[2]);
+    }
+
+    // * Local-use NAT64 (64:ff9b:1::/48), unique local, link-local, site-local and multicast
+    return (groups[0] === 0x64 && groups[1] === 0xff9b && groups[2] === 1)
+      || (groups[0] & 0xfe00) === 0xfc00
+      || (groups[0] & 0xffc0) === 0xfe80
+      || (groups[0] & 0xffc0) === 0xfec0
+      || (groups[0] & 0xff00) === 0xff00;
+  }
+
+  return false;
+}
+
+export class UrlPolicy {
+  constructor(options = {}) {
+    this.allowedDomains = options.allowedDomains || [];
+    this.blockedDomains = options.blockedDomains || [];
+    this.blockPrivateNetworks = options.blockPrivateNetworks === true;
+    this.dnsCache = new Map();
+  }
+
+  get enabled() {
+    return this.allowedDomains.length > 0 || this.blockedDomains.length > 0 || this.blockPrivateNetworks;
+  }
+
+  async resolve(hostname) {
+    const cached = this.dnsCache.get(hostname);
+    if (cached && cached.expires > Date.now()) {
+      return cached.addresses;
+    }
+
+    let addresses;
+    try {
+      addresses = (await lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (err) {
+      throw createError(`Could not resolve host: ${hostname}`, 'DNS_LOOKUP_FAILED', { hostname, originalError: err.message });
+    }
+
+    this.dnsCache.set(hostname, { addresses, expires: Date.now() + DNS_CACHE_TTL });
+    return addresses;
+  }
+
+  async check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      throw createError(`Invalid URL: ${err.message}`, 'INVALID_URL', { url });
+    }
+
+    // * Only network requests are subject to the policy (data:, blob: and friends are local)
+    if (!this.enabled || !['http:', 'https:'].includes(parsed.protocol)) {
+      return;
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+    if (this.blockedDomains.some(pattern => matchesDomain(hostname, pattern))) {
+      throw createError(`Domain is blocked: ${hostname}`, 'URL_NOT_ALLOWED', { url, hostname });
+    }
+
+    if (this.allowedDomains.length > 0 && !this.allowedDomains.some(pattern => matchesDomain(hostname, pattern))) {
+      throw createError(`Domain is not in ALLOWED_DOMAINS: ${hostname}`, 'URL_NOT_ALLOWED', { url, hostname });
+    }
+
+    if (this.blockPrivateNetworks) {
+      const addresses = net.isIP(hostname) ? [hostname] : await this.resolve(hostname);
+      const privateAddress = addresses.find(isPrivateAddress);
+      if (privateAddress) {
+        throw createError(
+          `Private network address is blocked: ${hostname} (${privateAddress})`,
+          'PRIVATE_NETWORK_BLOCKED',
+          { url, hostname, address: privateAddress }
+        );
+      }
+    }
+  }
+
+  // Chromium resolves host names itself, so a rebinding DNS answer can differ from the one
+  // checked before loading; check the address the page was actually served from
+  checkRemoteAddress(url, address) {
+    if (!this.blockPrivateNetworks || !address) return;
+
+    const ip = address.replace(/^\[|\]$/g, '');
+    if (isPrivateAddress(ip)) {
+      throw createError(
+        `Private network address is blocked: ${new URL(url).hostname} was served from ${ip}`,
+        'PRIVATE_NETWORK_BLOCKED',
+        { url, address: ip }
+      );
+    }
+  }
+}
+
+// Sliding-window limiter: at most `limit` requests in any `windowMs` period
+export class RateLimiter {
+  constructor(options = {}) {
+    this.limit = options.limit || 0;
+    this.windowMs = options.windowMs || 60000;
+    this.timestamps = [];
+  }
+
+  // Take `count` requests at once, or none of them
+  consume(count = 1) {
+    if (this.limit <= 0) return;
+
+    // * Never passes on a retry, so it gets its own non-retryable code
+    if (count > this.limit) {
+      throw createError(
+        `${count} requests exceed the rate limit of ${this.limit} requests per ${this.windowMs}ms; request fewer at once`,
+        'BATCH_EXCEEDS_RATE_LIMIT',
+        { limit: this.limit, windowMs: this.windowMs, requested: count }
+      );
+    }
+
+    const now = Date.now();
+    while (this.timestamps.length > 0 && this.timestamps[0] <= now - this.windowMs) {
+      this.timestamps.shift();
+    }
+
+    if (this.timestamps.length + count > this.limit) {
+      // * Wait until enough of the oldest requests have left the window
+      const retryAfterMs = this.timestamps[this.timestamps.length + count - this.limit - 1] + this.windowMs - now;
+      throw createError(
+        `Rate limit exceeded: ${this.limit} requests per ${this.windowMs}ms. Retry after ${Math.ceil(retryAfterMs / 1000)}s`,
+        'RATE_LIMIT_EXCEEDED',
+        { limit: this.limit, windowMs: this.windowMs, retryAfterMs, retryAfterSeconds: Math.ceil(retryAfterMs / 1000) }
+      );
+    }
+
+    for (let i = 0; i < count; i++) {
+      this.timestamps.push(now);
+    }
+  }
+}
@@ -0,0 +1,189 @@
+import { createError } from './utils.js';
+
+// Hands out one isolated browser context + page per request, at most `maxConcurrent`
+// at a time. Extra requests wait in a FIFO queue instead of being rejected.
+export class PagePool {
+  constructor(options = {}) {
+    this.launch = options.launch;
+    this.maxConcurrent = options.maxConcurrent || 5;
+    this.queueTimeout = options.queueTimeout ?? 60000;
+    this.warmPages = Math.min(options.warmPages ?? 1, this.maxConcurrent);
+    this.browser = null;
+    this.launching = null;
+    this.active = 0;
+    this.queue = [];
+    this.idle = [];
+    this.warming = 0;
+    this.closed = false;
+    // * Cleanup registered for a leased page (CDP sessions), run when it is released
+    this.releaseHooks = new WeakMap();
+  }
+
+  get stats() {
+    return { active: this.active, queued: this.queue.length, idle: this.idle.length };
+  }
+
+  async getBrowser() {
+    if (this.closed) {
+      throw createError('Browser pool is closed', 'POOL_CLOSED');
+    }
+
+    // * Share one launch between concurrent callers
+    if (!this.browser && !this.launching) {
+      this.launching = this.launch().then(browser => {
+        // * Drop the crashed or disconnected browser so the next request relaunches it
+        browser.once('disconnected', () => {
+          if (this.browser === browser) {
+            this.browser = null;
+            this.idle = [];
+          }
+        });
+        return browser;
+      });
+    }
+
+    if (!this.browser) {
+      try {
+        this.browser = await this.launching;
+      } finally {
+        this.launching = null;
+      }
+    }
+    return this.browser;
+  }
+
+  waitForSlot() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        reject(createError(
+          `Timed out after ${this.queueTimeout}ms waiting for a free browser page`,
+          'QUEUE_TIMEOUT',
+          { queueTimeout: this.queueTimeout, maxConcurrent: this.maxConcurrent }
+        ));
+      }, this.queueTimeout);
+      this.queue.push(waiter);
+    });
+  }
+
+  releaseSlot() {
+    const next = this.queue.shift();
+    if (next) {
+      // * Hand the slot straight to the next waiter; the active count stays the same
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  async createEntry() {
+    const browser = await this.getBrowser();
+    const context = await browser.createBrowserContext();
+    try {
+      const page = await context.newPage();
+      return { browser, context, page };
+    } catch (err) {
+      await context.close().catch(() => {});
+      throw err;
+    }
+  }
+
+  isUsable(entry) {
+    return entry.browser === this.browser && entry.browser.connected && !entry.page.isClosed();
+  }
+
+  async takeEntry() {
+    while (this.idle.length > 0) {
+      const entry = this.idle.shift();
+      if (this.isUsable(entry)) {
+        return entry;
+      }
+      await entry.context.close().catch(() => {});
+    }
+
+    try {
+      return await this.createEntry();
+    } catch (err) {
+      // * The browser may have died between requests; relaunch once and retry
+      if (this.browser && !this.browser.connected) {
+        this.browser = null;
+        return this.createEntry();
+      }
+      throw err;
+    }
+  }
+
+  async acquire() {
+    // * Fail fast instead of queueing behind leases that a closed pool will never hand on
+    if (this.closed) {
+      throw createError('Browser pool is closed', 'POOL_CLOSED');
+    }
+    await this.waitForSlot();
+    try {
+      return await this.takeEntry();
+    } catch (err) {
+      this.releaseSlot();
+      if (err.code === 'POOL_CLOSED') throw err;
+      throw createError(`Failed to open a browser page: ${err.message}`, 'BROWSER_UNAVAILABLE', { originalError: err.message });
+    }
+  }
+
+  onRelease(page, hook) {
+    const hooks = this.releaseHooks.get(page) || [];
+    hooks.push(hook);
+    this.releaseHooks.set(page, hooks);
+  }
+
+  async release(entry) {
+    for (const hook of this.releaseHooks.get(entry.page) || []) {
+      await Promise.resolve().then(hook).catch(() => {});
+    }
+    this.releaseHooks.delete(entry.page);
+
+    // * Contexts are never reused, so cookies and storage can't leak between requests
+    await entry.context.close().catch(() => {});
+    this.releaseSlot();
+    this.warm();
+  }
+
+  // Keep a few contexts with a blank page ready so the next request skips the setup
+  warm() {
+    while (!this.closed && this.browser && this.idle.length + this.warming < this.warmPages) {
+      this.warming++;
+      this.createEntry()
+        .then(entry => {
+          if (this.closed || !this.isUsable(entry)) {
+            return entry.context.close().catch(() => {});
+          }
+          this.idle.push(entry);
+        })
+        .catch(() => {})
+        .finally(() => {
+          this.warming--;
+        });
+    }
+  }
+
+  async close() {
+    this.closed = true;
+
+    for (const waiter of this.queue.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(createError('Browser pool is closed', 'POOL_CLOSED'));
+    }
+
+    this.idle = [];
+    const browser = this.browser || await this.launching?.catch(() => null);
+    this.browser = null;
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
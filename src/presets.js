@@ -0,0 +1,63 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { DEVICE_PRESETS, validateViewport, createError } from './utils.js';
+
+function normalizePreset(name, preset) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw createError(`Invalid device preset name: ${name}`, 'INVALID_PRESET', { preset: name });
+  }
+  if (!preset || typeof preset.width !== 'number' || typeof preset.height !== 'number') {
+    throw createError(`Device preset ${name} needs a numeric width and height`, 'INVALID_PRESET', { preset: name });
+  }
+
+  const deviceScaleFactor = preset.deviceScaleFactor ?? 1;
+  if (typeof deviceScaleFactor !== 'number' || deviceScaleFactor < 0.1 || deviceScaleFactor > 5) {
+    throw createError(`Device preset ${name} deviceScaleFactor must be between 0.1 and 5`, 'INVALID_PRESET', { preset: name });
+  }
+
+  try {
+    validateViewport(preset);
+  } catch (err) {
+    throw createError(`Device preset ${name}: ${err.message}`, 'INVALID_PRESET', { preset: name });
+  }
+
+  return {
+    width: preset.width,
+    height: preset.height,
+    deviceScaleFactor,
+    isMobile: preset.isMobile === true,
+    hasTouch: preset.hasTouch === true,
+    ...(preset.userAgent && { userAgent: String(preset.userAgent) })
+  };
+}
+
+// Merge presets from a JSON file ({ "name": { width, height, ... } }) into DEVICE_PRESETS.
+// Custom presets override built-in ones with the same name; `landscape: true` adds a
+// `<name>-landscape` variant. Returns the names that were added.
+export function loadDevicePresets(file) {
+  if (!file) return [];
+
+  const resolved = path.resolve(file);
+  let presets;
+  try {
+    presets = JSON.parse(readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw createError(`Failed to read device presets from ${resolved}: ${err.message}`, 'INVALID_PRESETS_FILE', { path: resolved });
+  }
+
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    throw createError(`Device presets file must contain an object of named presets: ${resolved}`, 'INVALID_PRESETS_FILE', { path: resolved });
+  }
+
+  // * Validate everything before touching the registry so a bad file changes nothing
+  const loaded = {};
+  for (const [name, preset] of Object.entries(presets)) {
+    loaded[name] = normalizePreset(name, preset);
+    if (preset.landscape) {
+      loaded[`${name}-landscape`] = { ...loaded[name], width: loaded[name].height, height: loaded[name].width };
+    }
+  }
+
+  Object.assign(DEVICE_PRESETS, loaded);
+  return Object.keys(loaded);
+}
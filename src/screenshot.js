@@ -1,6 +1,47 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
 import puppeteer from 'puppeteer';
-import sharp from 'sharp';
-import { DEVICE_PRESETS, validateUrl, validateViewport, sanitizeSelector, createError } from './utils.js';
+import { auditAccessibility } from './accessibility.js';
+import { BaselineStore, baselineKey } from './baselines.js';
+import { CaptureStore, isFilePath, selectorSuffix } from './captures.js';
+import { compareImages } from './diff.js';
+import { elementClip, elementNotFound, findElements, normalizeElementOptions, normalizeElementSelector } from './element.js';
+import { acceptLanguage, applyEmulation, prepareEmulation } from './emulation.js';
+import { httpError, isRetryable, navigationError, normalizeRetryOptions, retryBackoff, waitError, wrapError } from './errors.js';
+import { createContactSheet, createThumbnail, drawOutlines, encodeImage, fitScale, paintMasks } from './image.js';
+import { prepareHighlights, resolveHighlights } from './highlight.js';
+import { extractLayout, normalizeLayoutOptions } from './layout.js';
+import { hideElements, prepareMasks, resolveMaskBoxes } from './mask.js';
+import { matchNetworkRule, prepareNetworkRules } from './network.js';
+import { RateLimiter, UrlPolicy } from './policy.js';
+import { monitorPerformance, normalizePerformanceOptions } from './performance.js';
+import { PagePool } from './pool.js';
+import { SessionStore, toCookieParam } from './sessions.js';
+import { loadSitemap } from './sitemap.js';
+import { normalizeStabilizeOptions, prepareStabilization, stabilizePage } from './stabilize.js';
+import { captureScrolling, normalizeScrollOptions } from './stitch.js';
+import { DEVICE_PRESETS, validateUrl, validateViewport, sanitizeSelector, mapWithConcurrency, createError } from './utils.js';
+
+const MAX_FLOW_STEPS = 50;
+const MAX_BATCH_PAGES = 500;
+
+// Outline colors for violations in audit screenshots, by impact
+const IMPACT_COLORS = {
+  critical: '#D7263D',
+  serious: '#F46036',
+  moderate: '#2E86AB'
+};
+
+// Scale a CSS pixel box to the returned image's pixels
+function scaleBox(box, scale) {
+  return {
+    ...box,
+    x: Math.round(box.x * scale),
+    y: Math.round(box.y * scale),
+    width: Math.round(box.width * scale),
+    height: Math.round(box.height * scale)
+  };
+}
 
 export class ScreenshotCapture {
   constructor(options = {}) {
@@ -8,15 +49,16 @@ export class ScreenshotCapture {
       headless: options.headless !== false,
       timeout: options.timeout || 30000,
       maxConcurrent: options.maxConcurrent || 5,
+      baselineDir: options.baselineDir || 'baselines',
+      sessionDir: options.sessionDir || 'sessions',
+      outputDir: options.outputDir || null,
+      mocksDir: options.mocksDir || null,
+      navigationRetries: options.navigationRetries ?? 0,
+      confineFiles: options.confineFiles === true,
       ...options
     };
-    this.browser = null;
-    this.activeScreenshots = 0;
-  }
-
-  async initialize() {
-    if (!this.browser) {
-      this.browser = await puppeteer.launch({
+    this.pool = new PagePool({
+      launch: () => puppeteer.launch({
         headless: this.options.headless,
         args: [
           '--no-sandbox',
@@ -28,129 +70,380 @@ export class ScreenshotCapture {
           '--single-process',
           '--disable-gpu'
         ]
-      });
-    }
-    return this.browser;
+      }),
+      maxConcurrent: this.options.maxConcurrent,
+      queueTimeout: this.options.queueTimeout,
+      warmPages: this.options.warmPages
+    });
+    this.baselines = new BaselineStore(this.options.baselineDir);
+    // * Shared HTTP servers: no paths outside the configured directories, no shared logins
+    this.sessions = new SessionStore(this.options.sessionDir, { disabled: this.options.confineFiles });
+    this.captures = new CaptureStore(this.options.outputDir, { confine: this.options.confineFiles });
+    this.policy = new UrlPolicy({
+      allowedDomains: this.options.allowedDomains,
+      blockedDomains: this.options.blockedDomains,
+      blockPrivateNetworks: this.options.blockPrivateNetworks
+    });
+    this.rateLimiter = new RateLimiter({
+      limit: this.options.rateLimitRequests,
+      windowMs: this.options.rateLimitWindow
+    });
+  }
+
+  async initialize() {
+    return this.pool.getBrowser();
   }
 
   async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
+    await this.pool.close();
+  }
+
+  // Rate limit, check the URL policy and run `fn` with a page from the pool
+  async withPage(url, fn) {
+    this.rateLimiter.consume();
+    await this.policy.check(url);
+
+    const lease = await this.pool.acquire();
+    try {
+      return await fn(lease.page);
+    } finally {
+      await this.pool.release(lease);
     }
   }
 
   async captureScreenshot(url, options = {}) {
-    if (this.activeScreenshots >= this.options.maxConcurrent) {
-      throw createError('Too many concurrent screenshot requests', 'RATE_LIMIT_EXCEEDED');
+    const validatedUrl = validateUrl(url);
+    this.rateLimiter.consume();
+    return this.capturePage(validatedUrl, options);
+  }
+
+  // captureScreenshot for a validated URL whose rate limit was already charged (batches)
+  async capturePage(validatedUrl, options = {}) {
+    // * Validate every option before taking a page, so a rejected call never holds a lease
+    if (options.format === 'pdf' && options.mask?.length) {
+      throw createError('mask is not available for PDF output; use hide instead', 'INVALID_MASK');
+    }
+    const highlights = prepareHighlights(options.highlight);
+    if (options.format === 'pdf' && highlights) {
+      throw createError('highlight is not available for PDF output', 'INVALID_HIGHLIGHT');
+    }
+    const layoutOptions = normalizeLayoutOptions(options.includeLayout);
+    const scrollOptions = normalizeScrollOptions(options.scrollCapture);
+    if (scrollOptions && options.format === 'pdf') {
+      throw createError('scrollCapture is not available for PDF output', 'INVALID_SCROLL_CAPTURE');
     }
+    // * Boxes are in document coordinates, which don't map onto a stitched container
+    if (scrollOptions?.container && (options.mask?.length || highlights || layoutOptions)) {
+      throw createError('mask, highlight and includeLayout are not available when capturing a scroll container', 'INVALID_SCROLL_CAPTURE');
+    }
+
+    await this.policy.check(validatedUrl);
 
-    this.activeScreenshots++;
+    // Wait for a free page from the pool (queued beyond maxConcurrent)
+    const lease = await this.pool.acquire();
 
     try {
-      const validatedUrl = validateUrl(url);
-      await this.initialize();
+      const { page } = lease;
 
-      const page = await this.browser.newPage();
-      
       try {
-        // Configure viewport
-        await this.configureViewport(page, options.viewport);
-        
-        // Set timeouts
-        page.setDefaultTimeout(this.options.timeout);
-        page.setDefaultNavigationTimeout(this.options.timeout);
+        const state = await this.loadPage(page, validatedUrl, options);
 
-        // Navigate to URL
-        await page.goto(validatedUrl, {
-          waitUntil: options.waitUntil || 'networkidle2',
-          timeout: this.options.timeout
-        });
+        // Print to PDF instead of taking a screenshot
+        if (options.format === 'pdf') {
+          const pdf = Buffer.from(await page.pdf(this.getPdfOptions(options.pdf)));
 
-        // Wait for specific conditions if provided
-        if (options.waitFor) {
-          await this.waitForCondition(page, options.waitFor);
+          return await this.persistCapture({
+            success: true,
+            data: pdf.toString('base64'),
+            mimeType: 'application/pdf',
+            metadata: {
+              url: validatedUrl,
+              timestamp: new Date().toISOString(),
+              viewport: await page.viewport(),
+              title: await page.title(),
+              format: 'pdf',
+              mimeType: 'application/pdf',
+              bytes: pdf.length,
+              ...this.pageStateMetadata(state, options)
+            }
+          }, options);
         }
 
-        // Standard delay after networkidle2 for better stability
-        const standardDelay = options.standardDelay !== false ? 2500 : 0;
-        if (standardDelay > 0) {
-          await new Promise(resolve => setTimeout(resolve, standardDelay));
-        }
+        let captured;
+        let scrollCapture = null;
+        if (scrollOptions) {
+          // * Scroll frame by frame so lazy content loads, then stitch the frames
+          ({ buffer: captured, scrollCapture } = await captureScrolling(page, scrollOptions));
+        } else {
+          // Capture screenshot with dimension validation
+          const screenshotOptions = {
+            type: 'png',
+            fullPage: true,
+            encoding: 'base64',
+            ...options.screenshotOptions
+          };
 
-        // Additional delay if specified
-        if (options.delay) {
-          await new Promise(resolve => setTimeout(resolve, options.delay));
+          // * Take the screenshot
+          captured = Buffer.from(await page.screenshot(screenshotOptions), 'base64');
         }
+        const viewport = await page.viewport();
 
-        // Capture screenshot with dimension validation
-        const screenshotOptions = {
-          type: 'png',
-          fullPage: true,
-          encoding: 'base64',
-          ...options.screenshotOptions
-        };
-
-        // * Take the screenshot
-        const screenshotBase64 = await page.screenshot(screenshotOptions);
+        // Locate the regions to paint over and the elements to highlight, after any lazy content loaded
+        const maskBoxes = state.masks ? await resolveMaskBoxes(page, state.masks) : [];
+        const legend = highlights
+          ? await resolveHighlights(page, highlights, { maxHighlights: options.maxHighlights })
+          : [];
 
-        // * Decode base64 to buffer for sharp processing
-        let screenshotBuffer = Buffer.from(screenshotBase64, 'base64');
-        let metadata;
-        try {
-          metadata = await sharp(screenshotBuffer).metadata();
-        } catch (err) {
-          throw createError('Failed to read screenshot metadata', 'IMAGE_METADATA_ERROR', { originalError: err.message });
-        }
-
-        // * Check if resizing is needed
-        const maxDimension = 8000;
-        if (metadata.width > maxDimension || metadata.height > maxDimension) {
-          // * Calculate scale factor to fit within 8000x8000
-          const scale = Math.min(maxDimension / metadata.width, maxDimension / metadata.height);
-          const newWidth = Math.floor(metadata.width * scale);
-          const newHeight = Math.floor(metadata.height * scale);
-          try {
-            screenshotBuffer = await sharp(screenshotBuffer)
-              .resize({ width: newWidth, height: newHeight })
-              .png()
-              .toBuffer();
-          } catch (err) {
-            throw createError('Failed to resize screenshot image', 'IMAGE_RESIZE_ERROR', { originalError: err.message });
-          }
-        }
+        // * Paint the masked regions and numbered highlights, then convert to the requested format within the size limits
+        const deviceScaleFactor = viewport?.deviceScaleFactor || 1;
+        const masked = await paintMasks(captured, maskBoxes, {
+          color: state.masks?.color,
+          scale: deviceScaleFactor
+        });
+        const screenshot = await drawOutlines(masked, legend.map(item => ({
+          ...item.box,
+          color: item.color,
+          label: item.number
+        })), { scale: deviceScaleFactor });
+        const output = await encodeImage(screenshot, options);
 
-        // * Encode back to base64
-        const finalBase64 = screenshotBuffer.toString('base64');
+        // * Element boxes in the returned image's pixels, including any output downscaling
+        const imageScale = deviceScaleFactor * output.width / output.originalWidth;
+        const layout = layoutOptions
+          ? await extractLayout(page, { ...layoutOptions, scale: imageScale })
+          : null;
 
-        return {
+        return await this.persistCapture({
           success: true,
-          data: finalBase64,
+          data: output.buffer.toString('base64'),
+          mimeType: output.mimeType,
           metadata: {
             url: validatedUrl,
             timestamp: new Date().toISOString(),
-            viewport: await page.viewport(),
+            viewport,
             title: await page.title(),
-            imageWidth: metadata.width,
-            imageHeight: metadata.height
+            imageWidth: output.originalWidth,
+            imageHeight: output.originalHeight,
+            ...this.outputMetadata(output),
+            ...(state.masks && { masks: maskBoxes.map(box => scaleBox(box, imageScale)) }),
+            ...(highlights && {
+              highlights: legend.map(({ color, box, ...item }) => ({ ...item, box: scaleBox(box, imageScale) }))
+            }),
+            ...(layout && { layout }),
+            ...(scrollCapture && { scrollCapture }),
+            ...this.pageStateMetadata(state, options)
           }
-        };
+        }, options);
 
       } finally {
-        await page.close();
+        await this.pool.release(lease);
       }
 
     } catch (error) {
-      throw createError(
-        `Screenshot capture failed: ${error.message}`,
-        'CAPTURE_FAILED',
-        { url, originalError: error.message }
-      );
-    } finally {
-      this.activeScreenshots--;
+      throw wrapError(error, 'Screenshot capture failed', 'CAPTURE_FAILED', { url: validatedUrl });
     }
   }
 
+  // Configure a pooled page, navigate and bring it to the state to capture
+  async loadPage(page, url, options = {}) {
+    const stabilize = normalizeStabilizeOptions(options.stabilize);
+    const emulation = this.prepareEmulation(options.viewport, stabilize);
+    const performanceOptions = normalizePerformanceOptions(options.performance);
+    const masks = prepareMasks(options);
+
+    // Configure viewport
+    await this.configureViewport(page, options.viewport);
+
+    // Emulate color scheme, media type, locale, timezone and geolocation
+    if (emulation) {
+      const client = await applyEmulation(page, url, emulation);
+      if (client) {
+        this.pool.onRelease(page, () => client.detach());
+      }
+    }
+
+    // Apply auth state (headers, cookies, credentials, storage, saved session)
+    await this.configureSession(page, url, options);
+
+    // Enforce the URL policy and apply block/mock rules to every request
+    const interception = await this.configureRequestInterception(page, url, options.network);
+
+    // Record console output, page errors and failed requests if requested
+    const diagnostics = options.diagnostics ? this.collectDiagnostics(page, url) : null;
+
+    // Freeze the clock and seed Math.random before any page script runs
+    if (stabilize) {
+      await prepareStabilization(page, stabilize);
+    }
+    
+    // Set timeouts
+    page.setDefaultTimeout(this.options.timeout);
+    page.setDefaultNavigationTimeout(this.options.timeout);
+
+    // Throttle CPU and network and start recording load metrics (and the filmstrip)
+    const monitor = performanceOptions ? await monitorPerformance(page, performanceOptions) : null;
+    if (monitor) {
+      this.pool.onRelease(page, () => monitor.client.detach());
+    }
+
+    // Navigate to URL, retrying transient failures
+    const { response, attempts } = await this.navigate(page, url, options, interception);
+
+    // Wait for specific conditions if provided
+    if (options.waitFor) {
+      await this.waitForCondition(page, options.waitFor).catch(error => {
+        throw waitError(error, options.waitFor);
+      });
+    }
+
+    // Standard delay after networkidle2 for better stability (stabilize waits for the page instead)
+    const standardDelay = (options.standardDelay ?? !stabilize) !== false ? 2500 : 0;
+    if (standardDelay > 0) {
+      await new Promise(resolve => setTimeout(resolve, standardDelay));
+    }
+
+    // Measure the load itself, before actions change the page
+    const performance = monitor ? await monitor.report() : null;
+
+    // Run scripted interactions (open menus, fill forms, hover states)
+    if (options.actions) {
+      await this.performActions(page, options.actions);
+    }
+
+    // Persist auth state after a scripted login so later captures can reuse it
+    if (options.saveSession) {
+      await this.saveSession(page, options.saveSession);
+    }
+
+    // Additional delay if specified
+    if (options.delay) {
+      await new Promise(resolve => setTimeout(resolve, options.delay));
+    }
+
+    // Finish animations, pause videos and wait for fonts and images
+    const stabilization = stabilize ? await stabilizePage(page, stabilize) : null;
+
+    // Hide volatile elements
+    if (masks) {
+      await hideElements(page, masks.hide);
+    }
+
+    return {
+      status: response?.status() ?? null,
+      attempts,
+      interception,
+      diagnostics,
+      stabilize,
+      emulation,
+      stabilization,
+      masks,
+      performance
+    };
+  }
+
+  // Navigate with `waitUntil`, retrying timeouts and dropped connections (plus HTTP 429/5xx
+  // when `failOnHttpError` is set) up to `retries` times with exponential backoff
+  async navigate(page, url, options, interception) {
+    const { retries, retryDelay } = normalizeRetryOptions(options, this.options.navigationRetries);
+
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let error;
+      try {
+        response = await page.goto(url, {
+          waitUntil: options.waitUntil || 'networkidle2',
+          timeout: this.options.timeout
+        });
+      } catch (err) {
+        error = interception.navigationError || navigationError(err, url, this.options.timeout);
+      }
+
+      if (!error) {
+        this.policy.checkRemoteAddress(response?.url() || url, response?.remoteAddress()?.ip);
+
+        const status = response?.status();
+        if (!options.failOnHttpError || !status || status < 400) {
+          return { response, attempts: attempt };
+        }
+        error = httpError(status, url);
+      }
+
+      if (attempt > retries || !isRetryable(error)) {
+        if (attempt > 1) {
+          error.details = { ...error.details, attempts: attempt };
+        }
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryBackoff(attempt, retryDelay, this.options.timeout)));
+    }
+  }
+
+  // Stabilized pages also prefer reduced motion unless the viewport says otherwise
+  prepareEmulation(viewport = {}, stabilize = null) {
+    return prepareEmulation(stabilize ? { reducedMotion: 'reduce', ...viewport } : viewport);
+  }
+
+  // Metadata describing how the page was loaded, shared by every result for it
+  pageStateMetadata(state, options) {
+    return {
+      ...(state.status && { status: state.status }),
+      ...(state.attempts > 1 && { attempts: state.attempts }),
+      ...(state.emulation && { emulation: state.emulation }),
+      ...(this.policy.enabled && { blockedRequests: state.interception.blocked }),
+      ...(options.network && { network: state.interception.network }),
+      ...(state.stabilization && { stabilization: state.stabilization }),
+      ...(state.masks && { hidden: state.masks.hide }),
+      ...(state.diagnostics && { diagnostics: state.diagnostics.report() }),
+      ...(state.performance && { performance: state.performance.metrics })
+    };
+  }
+
+  // Write the capture to disk when an output directory or savePath is configured
+  async persistCapture(result, options, suffix) {
+    if (!this.captures.shouldSave(options)) {
+      return result;
+    }
+
+    const saved = await this.captures.save(Buffer.from(result.data, 'base64'), {
+      url: result.metadata.url,
+      viewport: options.viewport,
+      suffix,
+      timestamp: result.metadata.timestamp,
+      mimeType: result.mimeType,
+      savePath: options.savePath
+    });
+
+    result.metadata.savedPath = saved.path;
+    result.metadata.resourceUri = saved.uri;
+    return result;
+  }
+
+  outputMetadata(output) {
+    return {
+      format: output.format,
+      mimeType: output.mimeType,
+      quality: output.quality,
+      outputWidth: output.width,
+      outputHeight: output.height,
+      bytes: output.bytes,
+      ...(!output.withinMaxBytes && { maxBytesExceeded: true })
+    };
+  }
+
+  getPdfOptions(pdf = {}) {
+    const margin = typeof pdf.margin === 'string'
+      ? { top: pdf.margin, right: pdf.margin, bottom: pdf.margin, left: pdf.margin }
+      : pdf.margin;
+
+    return {
+      format: pdf.pageSize || 'A4',
+      landscape: pdf.landscape || false,
+      printBackground: pdf.printBackground !== false,
+      margin: margin || { top: '1cm', right: '1cm', bottom: '1cm', left: '1cm' },
+      timeout: this.options.timeout
+    };
+  }
+
   async configureViewport(page, viewportConfig = {}) {
     let viewport;
 
@@ -176,6 +469,231 @@ export class ScreenshotCapture {
     }
   }
 
+  async configureSession(page, url, options = {}) {
+    const origin = new URL(url).origin;
+    const session = options.session ? await this.sessions.load(options.session) : null;
+
+    const cookies = [
+      ...(session ? session.cookies : []),
+      ...(options.cookies || [])
+    ].map(cookie => toCookieParam(cookie, url));
+
+    // * localStorage seed values keyed by origin; explicit values apply to the target URL's origin
+    const storage = { ...(session ? session.localStorage : {}) };
+    if (options.localStorage) {
+      storage[origin] = { ...storage[origin], ...options.localStorage };
+    }
+
+    // * Extra headers replace each other, so the emulated locale goes in the same call
+    const locale = options.viewport?.locale;
+    const headers = {
+      ...(locale && { 'Accept-Language': acceptLanguage(Intl.getCanonicalLocales(locale)[0]) }),
+      ...options.headers
+    };
+    if (Object.keys(headers).length > 0) {
+      await page.setExtraHTTPHeaders(headers);
+    }
+
+    if (options.basicAuth) {
+      await page.authenticate({
+        username: options.basicAuth.username,
+        password: options.basicAuth.password
+      });
+    }
+
+    if (cookies.length > 0) {
+      await page.setCookie(...cookies);
+    }
+
+    if (Object.keys(storage).length > 0) {
+      await page.evaluateOnNewDocument(seed => {
+        const entries = seed[window.location.origin];
+        if (!entries) return;
+        for (const [key, value] of Object.entries(entries)) {
+          window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+        }
+      }, storage);
+    }
+  }
+
+  // Intercept requests to enforce the URL policy (redirects and subresources included),
+  // then apply the caller's block and mock rules
+  async configureRequestInterception(page, url, network) {
+    const rules = await prepareNetworkRules(network, { mocksDir: this.options.mocksDir });
+    const state = { blocked: [], navigationError: null, network: { blocked: [], mocked: [], failed: [] } };
+    if (!this.policy.enabled && !rules) {
+      return state;
+    }
+
+    await page.setRequestInterception(true);
+    page.on('request', async request => {
+      // * A rejected abort/respond/continue would be an unhandled rejection that ends the process
+      try {
+        await this.interceptRequest(page, request, url, rules, state);
+      } catch (error) {
+        state.network.failed.push({ url: request.url(), resourceType: request.resourceType(), error: error.message });
+        if (!request.isInterceptResolutionHandled()) {
+          await request.abort('failed').catch(() => {});
+        }
+      }
+    });
+
+    return state;
+  }
+
+  // Block policy violations, answer mocked requests and apply block rules to one request
+  async interceptRequest(page, request, url, rules, state) {
+    let violation = null;
+    try {
+      await this.policy.check(request.url());
+    } catch (error) {
+      violation = error;
+    }
+
+    if (request.isInterceptResolutionHandled()) return;
+
+    const mainNavigation = request.isNavigationRequest() && request.frame() === page.mainFrame();
+
+    if (violation) {
+      state.blocked.push({ url: request.url(), resourceType: request.resourceType(), reason: violation.code });
+      if (mainNavigation) {
+        state.navigationError = violation;
+      }
+      await request.abort('blockedbyclient');
+      return;
+    }
+
+    const match = matchNetworkRule(rules, request, url);
+
+    // * A file mock must not become the page itself: its contents would come back as the screenshot
+    if (match?.action === 'mock' && match.fromFile && mainNavigation) {
+      state.navigationError = createError(
+        `${match.rule} answers the page itself; mock files can only replace what the page loads`,
+        'MOCK_FILE_NOT_ALLOWED',
+        { url: request.url(), rule: match.rule }
+      );
+      await request.abort('blockedbyclient');
+      return;
+    }
+
+    if (match?.action === 'mock') {
+      state.network.mocked.push({ url: request.url(), method: request.method(), rule: match.rule, status: match.response.status });
+      await request.respond(match.response);
+      return;
+    }
+
+    // * Never block the page itself, only what it loads
+    if (match?.action === 'block' && !mainNavigation) {
+      state.network.blocked.push({ url: request.url(), resourceType: request.resourceType(), rule: match.rule });
+      await request.abort('blockedbyclient');
+      return;
+    }
+
+    await request.continue();
+  }
+
+  // Listen for console messages, uncaught exceptions, failed requests and mixed content
+  collectDiagnostics(page, url) {
+    const maxEntries = 100;
+    const secureOrigin = new URL(url).protocol === 'https:';
+    const counts = {};
+    const state = {
+      console: [],
+      pageErrors: [],
+      failedRequests: [],
+      mixedContent: [],
+      truncated: false
+    };
+
+    const record = (list, entry) => {
+      if (list.length < maxEntries) {
+        list.push(entry);
+      } else {
+        state.truncated = true;
+      }
+    };
+
+    page.on('console', message => {
+      const level = message.type();
+      const location = message.location();
+      counts[level] = (counts[level] || 0) + 1;
+      record(state.console, {
+        level,
+        text: message.text(),
+        ...(location.url && { source: `${location.url}:${location.lineNumber ?? 0}` })
+      });
+    });
+
+    page.on('pageerror', error => {
+      record(state.pageErrors, { message: error.message, stack: error.stack });
+    });
+
+    page.on('requestfailed', request => {
+      record(state.failedRequests, {
+        url: request.url(),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        error: request.failure()?.errorText
+      });
+    });
+
+    page.on('response', response => {
+      if (response.status() >= 400) {
+        const request = response.request();
+        record(state.failedRequests, {
+          url: response.url(),
+          method: request.method(),
+          resourceType: request.resourceType(),
+          status: response.status(),
+          statusText: response.statusText()
+        });
+      }
+    });
+
+    page.on('request', request => {
+      const mainNavigation = request.isNavigationRequest() && request.frame() === page.mainFrame();
+      if (secureOrigin && !mainNavigation && request.url().startsWith('http:')) {
+        record(state.mixedContent, { url: request.url(), resourceType: request.resourceType() });
+      }
+    });
+
+    return {
+      report: () => ({
+        consoleCounts: { ...counts },
+        console: [...state.console],
+        pageErrors: [...state.pageErrors],
+        failedRequests: [...state.failedRequests],
+        mixedContent: [...state.mixedContent],
+        truncated: state.truncated
+      })
+    };
+  }
+
+  async saveSession(page, name) {
+    const client = await page.createCDPSession();
+    try {
+      const { cookies } = await client.send('Network.getAllCookies');
+      const origin = new URL(page.url()).origin;
+      const localStorage = await page.evaluate(() => Object.fromEntries(Object.entries(window.localStorage)));
+
+      // * Keep storage captured earlier for other origins when re-saving a session
+      let previous = {};
+      try {
+        previous = (await this.sessions.load(name)).localStorage || {};
+      } catch (err) {
+        if (err.code !== 'SESSION_NOT_FOUND') throw err;
+      }
+
+      return await this.sessions.save(name, {
+        url: page.url(),
+        cookies: cookies.map(cookie => toCookieParam(cookie)),
+        localStorage: { ...previous, [origin]: localStorage }
+      });
+    } finally {
+      await client.detach();
+    }
+  }
+
   async waitForCondition(page, waitFor) {
     const { type, value, timeout = 10000, idleTime = 2000 } = waitFor;
 
@@ -227,81 +745,786 @@ export class ScreenshotCapture {
     }
   }
 
+  async performActions(page, actions) {
+    if (!Array.isArray(actions)) {
+      throw createError('Actions must be an array', 'INVALID_ACTION');
+    }
+
+    for (let index = 0; index < actions.length; index++) {
+      const action = actions[index] || {};
+      try {
+        await this.performAction(page, action);
+      } catch (error) {
+        // * `reason` keeps the underlying code; a timed-out wait means the element never showed up
+        const reason = error.details ? error.code : (error.name === 'TimeoutError' ? 'ELEMENT_NOT_FOUND' : null);
+        throw createError(
+          `Action ${index} (${action.type}) failed: ${error.message}`,
+          'ACTION_FAILED',
+          { step: index, action, ...(reason && { reason }), originalError: error.message }
+        );
+      }
+    }
+  }
+
+  async performAction(page, action) {
+    const { type, value, key, timeout = 10000 } = action;
+    let selector = null;
+
+    if (action.selector !== undefined) {
+      selector = sanitizeSelector(action.selector);
+      if (!selector) {
+        throw createError('Invalid selector provided', 'INVALID_SELECTOR');
+      }
+    }
+
+    const requireSelector = () => {
+      if (!selector) {
+        throw createError(`A selector is required for ${type} actions`, 'INVALID_ACTION');
+      }
+      return selector;
+    };
+
+    switch (type) {
+      case 'click':
+        await page.waitForSelector(requireSelector(), { visible: true, timeout });
+        await page.click(selector, { button: action.button || 'left', count: action.clickCount || 1 });
+        break;
+
+      case 'type':
+        await page.waitForSelector(requireSelector(), { visible: true, timeout });
+        if (action.clear) {
+          await page.$eval(selector, el => { el.value = ''; });
+        }
+        await page.type(selector, String(value ?? ''), { delay: action.delay || 0 });
+        break;
+
+      case 'hover':
+        await page.waitForSelector(requireSelector(), { visible: true, timeout });
+        await page.hover(selector);
+        break;
+
+      case 'focus':
+        await page.waitForSelector(requireSelector(), { timeout });
+        await page.focus(selector);
+        break;
+
+      case 'select':
+        await page.waitForSelector(requireSelector(), { timeout });
+        const values = Array.isArray(value) ? value.map(String) : [String(value ?? '')];
+        const selected = await page.select(selector, ...values);
+        if (selected.length === 0) {
+          throw createError(`No option matching ${values.join(', ')}`, 'OPTION_NOT_FOUND');
+        }
+        break;
+
+      case 'press':
+        if (!key && !value) {
+          throw createError('A key is required for press actions', 'INVALID_ACTION');
+        }
+        if (selector) {
+          await page.waitForSelector(selector, { timeout });
+          await page.focus(selector);
+        }
+        await page.keyboard.press(key || value);
+        break;
+
+      case 'scroll':
+        await page.waitForSelector(requireSelector(), { timeout });
+        await page.$eval(selector, el => el.scrollIntoView({ block: 'center', inline: 'center' }));
+        break;
+
+      case 'wait':
+        if (selector) {
+          await page.waitForSelector(selector, { visible: true, timeout });
+        } else {
+          const ms = parseInt(value);
+          if (!Number.isFinite(ms) || ms < 0) {
+            throw createError('Wait actions need a selector or a duration in milliseconds', 'INVALID_ACTION');
+          }
+          await new Promise(resolve => setTimeout(resolve, ms));
+        }
+        break;
+
+      default:
+        throw createError(`Unknown action type: ${type}`, 'INVALID_ACTION');
+    }
+  }
+
+  // Capture the first match (or `index`), or every match with `all`. The page is loaded
+  // like captureScreenshot, then the selector is waited for instead of looked up once.
   async captureElement(url, selector, options = {}) {
     const validatedUrl = validateUrl(url);
-    const validatedSelector = sanitizeSelector(selector);
-    
-    if (!validatedSelector) {
-      throw createError('Invalid selector provided', 'INVALID_SELECTOR');
+    const elementSelector = normalizeElementSelector(selector);
+    const target = normalizeElementOptions(options);
+
+    if (options.format === 'pdf') {
+      throw createError('PDF output is only available for full-page captures', 'INVALID_FORMAT');
     }
 
-    await this.initialize();
-    const page = await this.browser.newPage();
+    const layoutOptions = normalizeLayoutOptions(options.includeLayout);
 
-    try {
-      await this.configureViewport(page, options.viewport);
-      await page.goto(validatedUrl, { waitUntil: 'networkidle2' });
+    return this.withPage(validatedUrl, async page => {
+      const state = await this.loadPage(page, validatedUrl, options);
+      const elements = await findElements(page, elementSelector, target.elementTimeout);
 
-      // Standard delay after networkidle2 for better stability
-      const standardDelay = options.standardDelay !== false ? 2500 : 0;
-      if (standardDelay > 0) {
-        await new Promise(resolve => setTimeout(resolve, standardDelay));
+      try {
+        if (elements.length === 0) {
+          throw await elementNotFound(page, elementSelector);
+        }
+        if (target.index >= elements.length) {
+          throw createError(
+            `Selector matched ${elements.length} element(s); index ${target.index} is out of range`,
+            'ELEMENT_NOT_FOUND',
+            { selector: elementSelector, matches: elements.length }
+          );
+        }
+
+        const capture = index => this.screenshotElement(page, elements[index], index, {
+          padding: target.padding,
+          masks: state.masks,
+          layoutOptions,
+          options
+        });
+
+        if (!target.all) {
+          const { output, metadata } = await capture(target.index);
+          return await this.persistCapture({
+            success: true,
+            data: output.buffer.toString('base64'),
+            mimeType: output.mimeType,
+            metadata: {
+              url: validatedUrl,
+              selector: elementSelector,
+              matches: elements.length,
+              ...metadata,
+              ...this.pageStateMetadata(state, options)
+            }
+          }, options, selectorSuffix(elementSelector));
+        }
+
+        // * One capture per match; a match without a visible box is reported, not fatal
+        const captures = [];
+        for (let index = 0; index < Math.min(elements.length, target.maxMatches); index++) {
+          try {
+            const { output, metadata } = await capture(index);
+            captures.push(await this.persistCapture({
+              success: true,
+              data: output.buffer.toString('base64'),
+              mimeType: output.mimeType,
+              metadata: { url: validatedUrl, selector: elementSelector, ...metadata }
+            }, options, `${selectorSuffix(elementSelector)}-${index}`));
+          } catch (error) {
+            captures.push({ success: false, metadata: { index }, error: error.message, code: error.code });
+          }
+        }
+
+        if (!captures.some(item => item.success)) {
+          throw createError(`None of the ${elements.length} match(es) of ${elementSelector} is visible`, 'ELEMENT_NOT_VISIBLE', {
+            selector: elementSelector,
+            matches: elements.length
+          });
+        }
+
+        return {
+          success: true,
+          captures,
+          metadata: {
+            url: validatedUrl,
+            selector: elementSelector,
+            timestamp: new Date().toISOString(),
+            matches: elements.length,
+            captured: captures.filter(item => item.success).length,
+            truncated: elements.length > target.maxMatches,
+            ...this.pageStateMetadata(state, options)
+          }
+        };
+      } finally {
+        await Promise.all(elements.map(element => element.dispose().catch(() => {})));
       }
+    });
+  }
+
+  // Screenshot one element plus padding; mask and layout boxes are relative to the captured area
+  async screenshotElement(page, element, index, { padding, masks, layoutOptions, options }) {
+    const geometry = await elementClip(element, padding);
+    if (!geometry) {
+      throw createError(`Element ${index} has no visible size`, 'ELEMENT_NOT_VISIBLE', { index });
+    }
+
+    const { clip } = geometry;
+    const maskBoxes = masks ? await resolveMaskBoxes(page, masks, clip) : [];
 
-      const element = await page.$(validatedSelector);
-      if (!element) {
-        throw createError(`Element not found: ${validatedSelector}`, 'ELEMENT_NOT_FOUND');
+    // * The clip is relative to the element, which Puppeteer scrolls into view first
+    const screenshot = await element.screenshot({
+      type: 'png',
+      clip: {
+        x: clip.x - geometry.element.x,
+        y: clip.y - geometry.element.y,
+        width: clip.width,
+        height: clip.height
       }
+    });
 
-      // * Take the element screenshot
-      const screenshotBase64 = await element.screenshot({
-        type: 'png',
-        encoding: 'base64'
-      });
+    // * Paint the masked regions, then convert to the requested format within the size limits
+    const deviceScaleFactor = (await page.viewport())?.deviceScaleFactor || 1;
+    const painted = await paintMasks(Buffer.from(screenshot), maskBoxes, {
+      color: masks?.color,
+      scale: deviceScaleFactor
+    });
+    const output = await encodeImage(painted, options);
+
+    // * Mask and layout boxes in the returned image's pixels, like a full capture
+    const imageScale = deviceScaleFactor * output.width / output.originalWidth;
+    const layout = layoutOptions
+      ? await extractLayout(page, { ...layoutOptions, root: element, origin: clip, scale: imageScale })
+      : null;
+
+    const round = box => Object.fromEntries(Object.entries(box).map(([key, value]) => [key, Math.round(value)]));
 
-      // * Decode base64 to buffer for sharp processing
-      let screenshotBuffer = Buffer.from(screenshotBase64, 'base64');
-      let metadata;
+    return {
+      output,
+      metadata: {
+        index,
+        timestamp: new Date().toISOString(),
+        box: round(geometry.element),
+        ...(padding > 0 && { padding, clip: round(clip) }),
+        imageWidth: output.originalWidth,
+        imageHeight: output.originalHeight,
+        ...this.outputMetadata(output),
+        ...(masks && { masks: maskBoxes.map(box => scaleBox(box, imageScale)) }),
+        ...(layout && { layout })
+      }
+    };
+  }
+
+  // Resolve a baseline from an explicit file path, a stored name, or the URL + viewport key
+  async loadBaseline(url, baseline = {}, viewport = {}) {
+    if (baseline.path) {
+      if (this.options.confineFiles) {
+        throw createError('Baseline file paths are not available when the server is shared over HTTP; use a named baseline', 'FILE_ACCESS_DENIED');
+      }
+      const baselinePath = path.resolve(baseline.path);
       try {
-        metadata = await sharp(screenshotBuffer).metadata();
+        return { path: baselinePath, name: null, buffer: await readFile(baselinePath) };
       } catch (err) {
-        throw createError('Failed to read element screenshot metadata', 'IMAGE_METADATA_ERROR', { originalError: err.message });
+        throw createError(`Baseline not found: ${baselinePath}`, 'BASELINE_NOT_FOUND', { originalError: err.message });
       }
+    }
+
+    const name = baseline.name || baselineKey(validateUrl(url), viewport);
+    const stored = await this.baselines.load(name);
+    return { path: stored.path, name, buffer: stored.buffer };
+  }
+
+  async saveBaseline(url, options = {}) {
+    const capture = await this.captureScreenshot(url, { ...options, format: 'png', save: false });
+    const name = options.name || baselineKey(capture.metadata.url, options.viewport);
+
+    const baseline = await this.baselines.save(name, Buffer.from(capture.data, 'base64'), {
+      ...capture.metadata,
+      preset: options.viewport?.preset || null
+    }, { overwrite: options.overwrite });
+
+    return {
+      success: true,
+      data: capture.data,
+      metadata: baseline
+    };
+  }
 
-      // * Check if resizing is needed
-      const maxDimension = 8000;
-      if (metadata.width > maxDimension || metadata.height > maxDimension) {
-        // * Calculate scale factor to fit within 8000x8000
-        const scale = Math.min(maxDimension / metadata.width, maxDimension / metadata.height);
-        const newWidth = Math.floor(metadata.width * scale);
-        const newHeight = Math.floor(metadata.height * scale);
-        try {
-          screenshotBuffer = await sharp(screenshotBuffer)
-            .resize({ width: newWidth, height: newHeight })
-            .png()
-            .toBuffer();
-        } catch (err) {
-          throw createError('Failed to resize element screenshot image', 'IMAGE_RESIZE_ERROR', { originalError: err.message });
+  async compareScreenshot(url, baseline, options = {}) {
+    const { path: baselinePath, name, buffer: baselineBuffer } = await this.loadBaseline(url, baseline, options.viewport);
+    const capture = await this.captureScreenshot(url, { ...options, format: 'png', save: false });
+    const captureBuffer = Buffer.from(capture.data, 'base64');
+
+    const comparison = await compareImages(captureBuffer, baselineBuffer, {
+      threshold: options.threshold,
+      maxRegions: options.maxRegions
+    });
+
+    // * Keep the new capture of a stored baseline so it can be approved later
+    if (name) {
+      await this.baselines.savePending(name, captureBuffer, {
+        ...capture.metadata,
+        preset: options.viewport?.preset || null
+      });
+    }
+
+    return {
+      success: true,
+      data: comparison.diffImage,
+      capture: capture.data,
+      metadata: {
+        ...capture.metadata,
+        baseline: baselinePath,
+        baselineName: name,
+        threshold: options.threshold ?? 0.1,
+        mismatchPercentage: comparison.mismatchPercentage,
+        mismatchedPixels: comparison.mismatchedPixels,
+        totalPixels: comparison.totalPixels,
+        dimensionsMatch: comparison.dimensionsMatch,
+        actualSize: comparison.actualSize,
+        baselineSize: comparison.baselineSize,
+        regions: comparison.regions,
+        totalRegions: comparison.totalRegions
+      }
+    };
+  }
+
+  async captureResponsive(url, viewports = [], options = {}) {
+    if (!Array.isArray(viewports) || viewports.length === 0) {
+      throw createError('At least one viewport is required', 'INVALID_VIEWPORT');
+    }
+
+    const targets = viewports.map(viewport => {
+      const config = typeof viewport === 'string' ? { preset: viewport } : { ...viewport };
+      if (config.preset && !DEVICE_PRESETS[config.preset]) {
+        throw createError(`Unknown device preset: ${config.preset}`, 'INVALID_PRESET');
+      }
+      const label = config.preset || `${config.width || 1920}x${config.height || 1080}`;
+      return { label, viewport: config };
+    });
+
+    if (options.savePath && isFilePath(options.savePath)) {
+      throw createError('savePath must be a directory for responsive captures', 'INVALID_SAVE_PATH');
+    }
+
+    if (options.contactSheet && options.format === 'pdf') {
+      throw createError('A contact sheet cannot be composed from PDF output', 'INVALID_FORMAT');
+    }
+
+    const startTime = Date.now();
+    // * Capture every viewport in parallel; one failing viewport doesn't discard the others
+    const captures = await mapWithConcurrency(targets, this.options.maxConcurrent, async ({ label, viewport }) => {
+      try {
+        const result = await this.captureScreenshot(url, { ...options, viewport });
+        return { label, success: true, data: result.data, mimeType: result.mimeType, metadata: result.metadata };
+      } catch (error) {
+        return { label, success: false, error: error.message, code: error.code };
+      }
+    });
+
+    const succeeded = captures.filter(capture => capture.success);
+    if (succeeded.length === 0) {
+      throw createError(
+        `Responsive capture failed for every viewport: ${captures.map(capture => `${capture.label}: ${capture.error}`).join('; ')}`,
+        'CAPTURE_FAILED',
+        { url }
+      );
+    }
+
+    let contactSheet = null;
+    if (options.contactSheet) {
+      const sheet = await createContactSheet(succeeded.map(capture => ({
+        buffer: Buffer.from(capture.data, 'base64'),
+        label: `${capture.label} (${capture.metadata.viewport.width}x${capture.metadata.viewport.height})`,
+        // * Tiles are shown in CSS pixels: undo both the device scale factor and any output downscaling
+        scale: capture.metadata.outputWidth * (capture.metadata.viewport.deviceScaleFactor || 1) / capture.metadata.imageWidth
+      })));
+      const output = await encodeImage(sheet, options);
+      contactSheet = await this.persistCapture({
+        data: output.buffer.toString('base64'),
+        mimeType: output.mimeType,
+        metadata: { url: validateUrl(url), timestamp: new Date().toISOString() }
+      }, { ...options, viewport: undefined }, 'contact-sheet');
+    }
+
+    return {
+      success: true,
+      captures,
+      contactSheet,
+      metadata: {
+        url: validateUrl(url),
+        timestamp: new Date().toISOString(),
+        durationMs: Date.now() - startTime,
+        viewports: captures.map(capture => capture.success
+          ? {
+            label: capture.label,
+            viewport: capture.metadata.viewport,
+            title: capture.metadata.title,
+            imageWidth: capture.metadata.imageWidth,
+            imageHeight: capture.metadata.imageHeight
+          }
+          : { label: capture.label, error: capture.error, code: capture.code })
+      }
+    };
+  }
+
+  // Capture a list of URLs, or the pages of a sitemap, with shared options.
+  // One failing page doesn't stop the others; every page is reported in the summary.
+  async captureBatch(source = {}, options = {}) {
+    const hasUrls = Array.isArray(source.urls) && source.urls.length > 0;
+    if (hasUrls === Boolean(source.sitemap)) {
+      throw createError('Provide either a list of urls or a sitemap', 'INVALID_BATCH');
+    }
+
+    const maxPages = options.maxPages ?? 50;
+    if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_BATCH_PAGES) {
+      throw createError(`maxPages must be between 1 and ${MAX_BATCH_PAGES}`, 'INVALID_BATCH', { maxPages });
+    }
+
+    if (options.savePath && isFilePath(options.savePath)) {
+      throw createError('savePath must be a directory for batch captures', 'INVALID_SAVE_PATH');
+    }
+
+    const startTime = Date.now();
+    let sitemap = null;
+    let urls;
+    let truncated;
+
+    if (source.sitemap) {
+      sitemap = await loadSitemap(source.sitemap, {
+        maxPages,
+        timeout: this.options.timeout,
+        allowFiles: !this.options.confineFiles,
+        checkUrl: url => this.policy.check(validateUrl(url))
+      });
+      ({ urls, truncated } = sitemap);
+      if (urls.length === 0) {
+        throw createError(`No pages found in sitemap: ${source.sitemap}`, 'INVALID_SITEMAP', { sitemap: source.sitemap });
+      }
+    } else {
+      const unique = [...new Set(source.urls)];
+      urls = unique.slice(0, maxPages);
+      truncated = unique.length > maxPages;
+    }
+
+    // * Charge every page up front so a batch can't run out of rate limit halfway
+    this.rateLimiter.consume(urls.length);
+
+    const captures = await mapWithConcurrency(urls, this.options.maxConcurrent, async url => {
+      const pageStart = Date.now();
+      try {
+        const result = await this.capturePage(validateUrl(url), options);
+        // * Full images only when asked for; otherwise a thumbnail, or nothing when saved to disk
+        let image = null;
+        if (options.includeImages) {
+          image = { data: result.data, mimeType: result.mimeType };
+        } else if (options.includeImages === undefined && !result.metadata.savedPath && result.mimeType !== 'application/pdf') {
+          const thumbnail = await createThumbnail(Buffer.from(result.data, 'base64'));
+          image = { data: thumbnail.toString('base64'), mimeType: 'image/jpeg', thumbnail: true };
         }
+        return {
+          url,
+          success: true,
+          durationMs: Date.now() - pageStart,
+          ...image,
+          metadata: result.metadata
+        };
+      } catch (error) {
+        return { url, success: false, durationMs: Date.now() - pageStart, error: error.message, code: error.code };
       }
+    });
+
+    const succeeded = captures.filter(capture => capture.success).length;
 
-      // * Encode back to base64
-      const finalBase64 = screenshotBuffer.toString('base64');
-
-      return {
-        success: true,
-        data: finalBase64,
-        metadata: {
-          url: validatedUrl,
-          selector: validatedSelector,
-          timestamp: new Date().toISOString(),
-          imageWidth: metadata.width,
-          imageHeight: metadata.height
+    return {
+      success: true,
+      captures,
+      metadata: {
+        ...(sitemap ? { sitemap: source.sitemap, sitemaps: sitemap.sitemaps.length } : {}),
+        ...(sitemap?.errors.length && { sitemapErrors: sitemap.errors }),
+        timestamp: new Date().toISOString(),
+        durationMs: Date.now() - startTime,
+        total: captures.length,
+        succeeded,
+        failed: captures.length - succeeded,
+        truncated,
+        pages: captures.map(capture => capture.success
+          ? {
+            url: capture.url,
+            status: capture.metadata.status ?? null,
+            title: capture.metadata.title,
+            imageWidth: capture.metadata.imageWidth,
+            imageHeight: capture.metadata.imageHeight,
+            durationMs: capture.durationMs,
+            ...(capture.metadata.savedPath && { savedPath: capture.metadata.savedPath })
+          }
+          : { url: capture.url, durationMs: capture.durationMs, error: capture.error, code: capture.code })
+      }
+    };
+  }
+
+  // Run accessibility checks on the loaded page, optionally outlining violations on a screenshot
+  async auditAccessibility(url, options = {}) {
+    const validatedUrl = validateUrl(url);
+
+    try {
+      return await this.withPage(validatedUrl, async page => {
+        const state = await this.loadPage(page, validatedUrl, options);
+        const audit = await auditAccessibility(page, options);
+        const viewport = await page.viewport();
+
+        const result = {
+          success: true,
+          metadata: {
+            url: validatedUrl,
+            timestamp: new Date().toISOString(),
+            viewport,
+            title: await page.title(),
+            ...audit,
+            ...this.pageStateMetadata(state, options)
+          }
+        };
+
+        if (options.screenshot) {
+          const screenshot = await page.screenshot({ type: 'png', fullPage: true });
+          const outlined = await drawOutlines(Buffer.from(screenshot), audit.violations.map(violation => ({
+            ...violation.box,
+            color: IMPACT_COLORS[violation.impact],
+            label: violation.id
+          })), { scale: viewport?.deviceScaleFactor || 1 });
+          const output = await encodeImage(outlined, options);
+
+          Object.assign(result, await this.persistCapture({
+            data: output.buffer.toString('base64'),
+            mimeType: output.mimeType,
+            metadata: { ...result.metadata, ...this.outputMetadata(output) }
+          }, options, 'a11y'));
         }
-      };
 
-    } finally {
-      await page.close();
+        return result;
+      });
+    } catch (error) {
+      throw wrapError(error, 'Accessibility audit failed', 'AUDIT_FAILED', { url });
+    }
+  }
+
+  // Load timing, Web Vitals and request totals of the page under optional CPU/network throttling,
+  // with a filmstrip of the load when requested
+  async measurePerformance(url, options = {}) {
+    const validatedUrl = validateUrl(url);
+    const performance = { throttling: options.throttling, filmstrip: options.filmstrip };
+    normalizePerformanceOptions(performance);
+
+    try {
+      return await this.withPage(validatedUrl, async page => {
+        const state = await this.loadPage(page, validatedUrl, { ...options, performance });
+
+        const result = {
+          success: true,
+          filmstrip: null,
+          metadata: {
+            url: validatedUrl,
+            timestamp: new Date().toISOString(),
+            viewport: await page.viewport(),
+            title: await page.title(),
+            ...this.pageStateMetadata(state, options)
+          }
+        };
+
+        if (state.performance.filmstrip) {
+          const output = await encodeImage(state.performance.filmstrip, options);
+          result.filmstrip = await this.persistCapture({
+            data: output.buffer.toString('base64'),
+            mimeType: output.mimeType,
+            metadata: { url: validatedUrl, timestamp: result.metadata.timestamp, ...this.outputMetadata(output) }
+          }, options, 'filmstrip');
+        }
+
+        return result;
+      });
+    } catch (error) {
+      throw wrapError(error, 'Performance measurement failed', 'PERFORMANCE_FAILED', { url });
+    }
+  }
+
+  // Bounding boxes, text, roles and key styles of the loaded page's elements
+  async getPageStructure(url, options = {}) {
+    const validatedUrl = validateUrl(url);
+    const layoutOptions = normalizeLayoutOptions({ selector: options.selector, maxElements: options.maxElements });
+
+    try {
+      return await this.withPage(validatedUrl, async page => {
+        const state = await this.loadPage(page, validatedUrl, options);
+        const viewport = await page.viewport();
+
+        // * Same pixel coordinates as a full-page capture at this viewport, including its downscale to 8000px
+        const deviceScaleFactor = viewport?.deviceScaleFactor || 1;
+        const size = await page.evaluate(() => ({
+          width: document.documentElement.scrollWidth,
+          height: document.documentElement.scrollHeight
+        }));
+        const imageWidth = Math.ceil(size.width * deviceScaleFactor);
+        const imageHeight = Math.ceil(size.height * deviceScaleFactor);
+        const outputWidth = Math.max(1, Math.floor(imageWidth * fitScale(imageWidth, imageHeight)));
+        const layout = await extractLayout(page, { ...layoutOptions, scale: deviceScaleFactor * outputWidth / imageWidth });
+
+        return {
+          success: true,
+          metadata: {
+            url: validatedUrl,
+            timestamp: new Date().toISOString(),
+            viewport,
+            title: await page.title(),
+            selector: layoutOptions.selector,
+            ...layout,
+            ...this.pageStateMetadata(state, options)
+          }
+        };
+      });
+    } catch (error) {
+      throw wrapError(error, 'Page structure extraction failed', 'STRUCTURE_FAILED', { url });
+    }
+  }
+
+  // Run navigate, interaction and capture steps in one page, screenshotting at every capture step.
+  // A failing step ends the flow but keeps the captures taken before it.
+  async captureFlow(url, steps, options = {}) {
+    const validatedUrl = validateUrl(url);
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw createError('A flow needs at least one step', 'INVALID_FLOW');
+    }
+    if (steps.length > MAX_FLOW_STEPS) {
+      throw createError(`A flow can have at most ${MAX_FLOW_STEPS} steps`, 'INVALID_FLOW', { maxSteps: MAX_FLOW_STEPS });
+    }
+    if (options.savePath && isFilePath(options.savePath)) {
+      throw createError('savePath must be a directory for flow captures', 'INVALID_SAVE_PATH');
     }
+
+    const startTime = Date.now();
+
+    try {
+      return await this.withPage(validatedUrl, async page => {
+        const state = await this.loadPage(page, validatedUrl, options);
+        const results = [];
+        let failedStep = null;
+
+        for (let index = 0; index < steps.length; index++) {
+          const step = steps[index] || {};
+          const stepStart = Date.now();
+          const result = { step: index, type: step.type, ...(step.label && { label: step.label }) };
+
+          try {
+            const capture = await this.runFlowStep(page, step, state, options, index);
+            Object.assign(result, { success: true, url: page.url(), durationMs: Date.now() - stepStart });
+            if (capture) {
+              result.capture = capture;
+            }
+          } catch (error) {
+            Object.assign(result, {
+              success: false,
+              url: page.url(),
+              durationMs: Date.now() - stepStart,
+              error: error.message,
+              code: error.code
+            });
+            failedStep = index;
+          }
+
+          results.push(result);
+          if (failedStep !== null) break;
+        }
+
+        return {
+          success: failedStep === null,
+          steps: results,
+          metadata: {
+            url: validatedUrl,
+            finalUrl: page.url(),
+            timestamp: new Date().toISOString(),
+            viewport: await page.viewport(),
+            durationMs: Date.now() - startTime,
+            captures: results.filter(result => result.capture).length,
+            ...(failedStep !== null && { failedStep }),
+            steps: results.map(({ capture, ...result }) => capture
+              ? { ...result, imageWidth: capture.metadata.imageWidth, imageHeight: capture.metadata.imageHeight }
+              : result),
+            ...this.pageStateMetadata(state, options)
+          }
+        };
+      });
+    } catch (error) {
+      throw wrapError(error, 'Flow capture failed', 'FLOW_FAILED', { url });
+    }
+  }
+
+  async runFlowStep(page, step, state, options, index) {
+    switch (step.type) {
+      case 'navigate': {
+        const target = validateUrl(step.url);
+        await this.policy.check(target);
+        await this.navigate(page, target, { ...options, waitUntil: step.waitUntil || options.waitUntil }, state.interception);
+        return null;
+      }
+
+      case 'capture':
+        return this.captureFlowStep(page, step, state, options, index);
+
+      default:
+        // * Interactions that navigate (submitting a form, following a link) can wait for the new page
+        if (step.waitForNavigation) {
+          await Promise.all([
+            page.waitForNavigation({ waitUntil: step.waitUntil || 'networkidle2', timeout: this.options.timeout }),
+            this.performAction(page, step)
+          ]);
+        } else {
+          await this.performAction(page, step);
+        }
+        return null;
+    }
+  }
+
+  async captureFlowStep(page, step, state, options, index) {
+    // * Stabilization CSS and hidden elements are lost when the page navigates
+    const stabilization = state.stabilize ? await stabilizePage(page, state.stabilize) : null;
+    if (state.masks) {
+      await hideElements(page, state.masks.hide);
+    }
+
+    let screenshot;
+    // Document area the screenshot covers, which mask boxes are relative to (the whole page when null)
+    let origin = null;
+    if (step.selector) {
+      const selector = normalizeElementSelector(step.selector);
+      const elements = await findElements(page, selector);
+      if (elements.length === 0) {
+        throw await elementNotFound(page, selector);
+      }
+      try {
+        origin = (await elementClip(elements[0]))?.element ?? null;
+        screenshot = await elements[0].screenshot({ type: 'png' });
+      } finally {
+        await Promise.all(elements.map(element => element.dispose().catch(() => {})));
+      }
+    } else {
+      const fullPage = step.fullPage !== false;
+      if (!fullPage) {
+        origin = await page.evaluate(() => ({
+          x: window.scrollX,
+          y: window.scrollY,
+          width: window.innerWidth,
+          height: window.innerHeight
+        }));
+      }
+      screenshot = await page.screenshot({ type: 'png', fullPage });
+    }
+
+    // * Paint the masked regions like capture_screenshot, then convert to the requested format
+    const maskBoxes = state.masks ? await resolveMaskBoxes(page, state.masks, origin) : [];
+    const deviceScaleFactor = (await page.viewport())?.deviceScaleFactor || 1;
+    const painted = await paintMasks(Buffer.from(screenshot), maskBoxes, {
+      color: state.masks?.color,
+      scale: deviceScaleFactor
+    });
+    const output = await encodeImage(painted, options);
+    const imageScale = deviceScaleFactor * output.width / output.originalWidth;
+
+    return this.persistCapture({
+      data: output.buffer.toString('base64'),
+      mimeType: output.mimeType,
+      metadata: {
+        url: page.url(),
+        timestamp: new Date().toISOString(),
+        title: await page.title(),
+        ...(step.selector && { selector: step.selector }),
+        imageWidth: output.originalWidth,
+        imageHeight: output.originalHeight,
+        ...this.outputMetadata(output),
+        ...(state.masks && { masks: maskBoxes.map(box => scaleBox(box, imageScale)) }),
+        ...(stabilization && { stabilization })
+      }
+    }, options, `step-${index}${step.label ? `-${step.label}` : ''}`);
   }
-}
\ No newline at end of file
+}
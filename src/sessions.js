@@ -0,0 +1,103 @@
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { validateStorageName, createError } from './utils.js';
+
+// Cookie fields accepted by page.setCookie; the rest of what CDP reports is read-only
+const COOKIE_FIELDS = ['name', 'value', 'url', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+export function toCookieParam(cookie, defaultUrl) {
+  const param = {};
+  for (const field of COOKIE_FIELDS) {
+    if (cookie[field] !== undefined) {
+      param[field] = cookie[field];
+    }
+  }
+
+  // * Session cookies are reported with expires -1; omit it so they stay session cookies
+  if (param.expires !== undefined && param.expires <= 0) {
+    delete param.expires;
+  }
+
+  if (!param.url && !param.domain && defaultUrl) {
+    param.url = defaultUrl;
+  }
+
+  if (!param.name || param.value === undefined) {
+    throw createError('Cookies need a name and value', 'INVALID_COOKIE', { cookie: cookie.name });
+  }
+
+  return param;
+}
+
+export class SessionStore {
+  // `disabled` when clients share the server (HTTP mode): one client could load another's login
+  constructor(dir = 'sessions', { disabled = false } = {}) {
+    this.dir = path.resolve(dir);
+    this.disabled = disabled;
+  }
+
+  file(name) {
+    if (this.disabled) {
+      throw createError('Saved sessions are not available when the server is shared over HTTP', 'FILE_ACCESS_DENIED', { name });
+    }
+    return path.join(this.dir, `${validateStorageName(name, 'session')}.json`);
+  }
+
+  async save(name, session) {
+    const record = {
+      name,
+      ...session,
+      savedAt: new Date().toISOString()
+    };
+
+    await mkdir(this.dir, { recursive: true });
+    // * Sessions hold credentials; keep them readable by the owner only
+    await writeFile(this.file(name), JSON.stringify(record, null, 2), { mode: 0o600 });
+    return record;
+  }
+
+  async load(name) {
+    const file = this.file(name);
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw createError(`Session not found: ${name}`, 'SESSION_NOT_FOUND', { name });
+      }
+      throw createError(`Failed to read session: ${name}`, 'SESSION_READ_ERROR', { name, originalError: err.message });
+    }
+  }
+
+  async list() {
+    if (this.disabled) return [];
+
+    let entries;
+    try {
+      entries = await readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw createError('Failed to list sessions', 'SESSION_LIST_ERROR', { originalError: err.message });
+    }
+
+    const sessions = [];
+    for (const entry of entries.filter(file => file.endsWith('.json')).sort()) {
+      const session = await this.load(path.basename(entry, '.json'));
+      // * Only summarize; never echo cookie values or storage contents back to the client
+      sessions.push({
+        name: session.name,
+        savedAt: session.savedAt,
+        url: session.url,
+        cookies: session.cookies.length,
+        cookieDomains: [...new Set(session.cookies.map(cookie => cookie.domain))],
+        storageOrigins: Object.keys(session.localStorage || {})
+      });
+    }
+
+    return sessions;
+  }
+
+  async delete(name) {
+    await this.load(name);
+    await rm(this.file(name), { force: true });
+  }
+}
@@ -0,0 +1,182 @@
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { gunzipSync } from 'node:zlib';
+import { createError } from './utils.js';
+
+// Sitemap indexes may point at further indexes; stop following them past this depth
+const MAX_SITEMAP_DEPTH = 3;
+const MAX_REDIRECTS = 5;
+// The sitemap protocol's own limit for an uncompressed sitemap
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function decodeXml(value) {
+  const cdata = value.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1].trim();
+
+  return value
+    .replace(/&#x([\da-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name])
+    .trim();
+}
+
+// Page URLs of a <urlset>, or nested sitemap URLs of a <sitemapindex>
+export function parseSitemap(xml, source) {
+  const isIndex = /<sitemapindex[\s>]/.test(xml);
+  if (!isIndex && !/<urlset[\s>]/.test(xml)) {
+    throw createError(`Not a sitemap: ${source}`, 'INVALID_SITEMAP', { sitemap: source });
+  }
+
+  // * Only the unprefixed <loc>; image and video extensions use <image:loc> and friends
+  const locations = [...xml.matchAll(/<loc>([\s\S]*?)<\/loc>/g)]
+    .map(match => decodeXml(match[1]))
+    .filter(Boolean);
+
+  return isIndex ? { urls: [], sitemaps: locations } : { urls: locations, sitemaps: [] };
+}
+
+// Fetch a sitemap URL, following up to MAX_REDIRECTS redirects by hand so every hop passes the policy
+async function fetchSitemap(source, { timeout, checkUrl }) {
+  const signal = AbortSignal.timeout(timeout);
+  let url = source;
+
+  for (let redirects = 0; ; redirects++) {
+    await checkUrl(url);
+
+    let response;
+    try {
+      response = await fetch(url, { signal, redirect: 'manual' });
+    } catch (err) {
+      throw createError(`Failed to fetch sitemap ${source}: ${err.message}`, 'SITEMAP_FETCH_FAILED', { sitemap: source });
+    }
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel();
+      if (redirects >= MAX_REDIRECTS) {
+        throw createError(`Too many redirects fetching sitemap ${source}`, 'SITEMAP_FETCH_FAILED', { sitemap: source });
+      }
+      url = new URL(location, url).href;
+      continue;
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw createError(`Failed to fetch sitemap ${source}: HTTP ${response.status}`, 'SITEMAP_FETCH_FAILED', {
+        sitemap: source,
+        status: response.status
+      });
+    }
+    return readLimited(response, source);
+  }
+}
+
+// * Stop reading once the body passes MAX_SITEMAP_BYTES instead of buffering whatever is sent
+async function readLimited(response, source) {
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_SITEMAP_BYTES) {
+        throw tooLarge(source);
+      }
+      chunks.push(chunk);
+    }
+  } catch (err) {
+    if (err.code === 'SITEMAP_TOO_LARGE') throw err;
+    throw createError(`Failed to fetch sitemap ${source}: ${err.message}`, 'SITEMAP_FETCH_FAILED', { sitemap: source });
+  }
+  return Buffer.concat(chunks);
+}
+
+function tooLarge(source) {
+  return createError(
+    `Sitemap ${source} is larger than ${MAX_SITEMAP_BYTES / 1024 / 1024}MB`,
+    'SITEMAP_TOO_LARGE',
+    { sitemap: source, maxBytes: MAX_SITEMAP_BYTES }
+  );
+}
+
+async function readSitemap(source, { timeout, checkUrl, allowFiles = true }) {
+  let buffer;
+
+  if (/^https?:\/\//i.test(source)) {
+    buffer = await fetchSitemap(source, { timeout, checkUrl });
+  } else {
+    if (!allowFiles) {
+      throw createError(`Only sitemap URLs are accepted here, not file paths: ${source}`, 'FILE_ACCESS_DENIED', { sitemap: source });
+    }
+    try {
+      const file = path.resolve(source);
+      if ((await stat(file)).size > MAX_SITEMAP_BYTES) {
+        throw tooLarge(source);
+      }
+      buffer = await readFile(file);
+    } catch (err) {
+      if (err.code === 'SITEMAP_TOO_LARGE') throw err;
+      throw createError(`Sitemap file not found: ${source}`, 'SITEMAP_NOT_FOUND', { sitemap: source, originalError: err.message });
+    }
+  }
+
+  // sitemap.xml.gz
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      // * Bounded so a small gzip bomb can't expand into gigabytes
+      buffer = gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(source);
+      throw createError(`Failed to decompress sitemap ${source}: ${err.message}`, 'INVALID_SITEMAP', { sitemap: source });
+    }
+  }
+
+  return buffer.toString('utf8');
+}
+
+// Collect up to `maxPages` page URLs from a sitemap URL or file, following sitemap indexes.
+// A nested sitemap that fails is reported in `errors`; only a failing root sitemap throws.
+export async function loadSitemap(source, options) {
+  const { maxPages } = options;
+  const urls = new Set();
+  const visited = new Set();
+  const errors = [];
+  const queue = [{ source, depth: 0, allowFiles: options.allowFiles ?? true }];
+  let truncated = false;
+
+  while (queue.length > 0) {
+    const { source: current, depth, allowFiles } = queue.shift();
+    if (visited.has(current)) continue;
+    if (urls.size >= maxPages) {
+      truncated = true;
+      break;
+    }
+    visited.add(current);
+
+    let parsed;
+    try {
+      parsed = parseSitemap(await readSitemap(current, { ...options, allowFiles }), current);
+    } catch (err) {
+      if (current === source) throw err;
+      errors.push({ sitemap: current, error: err.message, code: err.code });
+      continue;
+    }
+
+    for (const url of parsed.urls) {
+      if (urls.size >= maxPages) {
+        truncated = truncated || !urls.has(url);
+        continue;
+      }
+      urls.add(url);
+    }
+
+    if (depth < MAX_SITEMAP_DEPTH) {
+      // * A fetched sitemap index can only point at further URLs, never at local files
+      const local = allowFiles && !/^https?:\/\//i.test(current);
+      queue.push(...parsed.sitemaps.map(sitemap => ({ source: sitemap, depth: depth + 1, allowFiles: local })));
+    }
+  }
+
+  return { urls: [...urls], sitemaps: [...visited], truncated, errors };
+}
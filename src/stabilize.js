@@ -0,0 +1,130 @@
+import { createError } from './utils.js';
+
+const DEFAULT_TIME = '2024-01-01T12:00:00.000Z';
+
+const STABILIZE_CSS = `
+*, *::before, *::after {
+  animation-delay: 0s !important;
+  animation-duration: 0s !important;
+  transition-delay: 0s !important;
+  transition-duration: 0s !important;
+  caret-color: transparent !important;
+  scroll-behavior: auto !important;
+}
+`;
+
+// `stabilize: true` or `{ time, seed, timeout }`
+export function normalizeStabilizeOptions(value) {
+  if (!value) return null;
+
+  const options = value === true ? {} : value;
+  const time = Date.parse(options.time || DEFAULT_TIME);
+  if (Number.isNaN(time)) {
+    throw createError(`Invalid stabilize time: ${options.time}`, 'INVALID_STABILIZE_OPTIONS');
+  }
+
+  return {
+    time,
+    seed: options.seed ?? 1,
+    timeout: options.timeout ?? 10000
+  };
+}
+
+// Runs in the page before any of its scripts: clock stepping from a fixed time, seeded Math.random
+function freezeEnvironment(time, seed) {
+  const NativeDate = Date;
+  // * Each read moves the clock 1ms, not real time: the same reads give the same dates,
+  // and busy-wait loops on the page still end
+  let reads = 0;
+  const now = () => time + reads++;
+
+  // * A plain function, not a class: pages may call Date() without `new` to get a string
+  function FrozenDate(...args) {
+    if (!new.target) {
+      return new NativeDate(now()).toString();
+    }
+    return Reflect.construct(NativeDate, args.length === 0 ? [now()] : args, new.target);
+  }
+  FrozenDate.prototype = NativeDate.prototype;
+  FrozenDate.now = now;
+  FrozenDate.parse = NativeDate.parse;
+  FrozenDate.UTC = NativeDate.UTC;
+  Object.defineProperty(NativeDate.prototype, 'constructor', { value: FrozenDate, writable: true, configurable: true });
+
+  window.Date = FrozenDate;
+
+  // * mulberry32: small, fast and good enough for deterministic UI output
+  let state = seed >>> 0;
+  Math.random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Runs in the loaded page: settle animations and media, then wait for fonts and images
+async function settle(timeout) {
+  for (const animation of document.getAnimations()) {
+    try {
+      // * Finite animations jump to their end state; infinite ones are removed
+      if (animation.effect && animation.effect.getComputedTiming().endTime !== Infinity) {
+        animation.finish();
+      } else {
+        animation.cancel();
+      }
+    } catch (err) {
+      animation.cancel();
+    }
+  }
+
+  for (const video of document.querySelectorAll('video')) {
+    video.pause();
+    video.removeAttribute('autoplay');
+    try {
+      video.currentTime = 0;
+    } catch (err) {
+      // * Not seekable yet; the paused first frame is shown anyway
+    }
+  }
+
+  for (const image of document.querySelectorAll('img[loading="lazy"]')) {
+    image.loading = 'eager';
+  }
+
+  const pending = [...document.images]
+    .filter(image => !image.complete)
+    .map(image => new Promise(resolve => {
+      image.addEventListener('load', resolve, { once: true });
+      image.addEventListener('error', resolve, { once: true });
+    }));
+
+  const timedOut = await Promise.race([
+    Promise.all([document.fonts.ready, ...pending]).then(() => false),
+    new Promise(resolve => setTimeout(() => resolve(true), timeout))
+  ]);
+
+  // * Let the layout settle after fonts and images swap in
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+  return {
+    pendingImages: [...document.images].filter(image => !image.complete).length,
+    timedOut
+  };
+}
+
+export async function prepareStabilization(page, options) {
+  await page.evaluateOnNewDocument(freezeEnvironment, options.time, options.seed);
+}
+
+export async function stabilizePage(page, options) {
+  await page.addStyleTag({ content: STABILIZE_CSS });
+  const result = await page.evaluate(settle, options.timeout);
+
+  return {
+    time: new Date(options.time).toISOString(),
+    seed: options.seed,
+    ...result
+  };
+}
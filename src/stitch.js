@@ -0,0 +1,173 @@
+import sharp from 'sharp';
+import { sanitizeSelector, createError } from './utils.js';
+
+const MAX_FRAMES = 100;
+// Tallest stitched canvas in device pixels, whatever the deviceScaleFactor
+const MAX_STITCHED_HEIGHT = 20000;
+
+// `scrollCapture: true` or `{ container, hideFixed, delay, maxHeight }`
+export function normalizeScrollOptions(value) {
+  if (!value) return null;
+
+  const options = value === true ? {} : value;
+  return {
+    container: options.container ? sanitizeSelector(options.container) : null,
+    hideFixed: options.hideFixed !== false,
+    delay: options.delay ?? 250,
+    maxHeight: options.maxHeight ?? 20000
+  };
+}
+
+// Runs in the page: scroll the window or a container and report where it ended up
+function scrollTo(selector, y) {
+  const container = selector ? document.querySelector(selector) : null;
+  if (selector && !container) {
+    throw new Error(`Scroll container not found: ${selector}`);
+  }
+
+  // * `instant` overrides `scroll-behavior: smooth`, which would still be animating at screenshot time
+  if (container) {
+    container.scrollTo({ top: y, behavior: 'instant' });
+    return { y: container.scrollTop, height: container.scrollHeight, frame: container.clientHeight };
+  }
+  window.scrollTo({ top: y, behavior: 'instant' });
+  return { y: window.scrollY, height: document.documentElement.scrollHeight, frame: window.innerHeight };
+}
+
+// Runs in the page: the container's visible client area in document coordinates
+function containerClip(selector) {
+  const container = document.querySelector(selector);
+  container.scrollIntoView({ block: 'start', behavior: 'instant' });
+  const rect = container.getBoundingClientRect();
+  return {
+    x: rect.left + window.scrollX + container.clientLeft,
+    y: rect.top + window.scrollY + container.clientTop,
+    width: container.clientWidth,
+    height: container.clientHeight
+  };
+}
+
+// Runs in the page: hide fixed and sticky elements so they aren't repeated in every frame
+function hideFixedElements(selector) {
+  const scope = selector ? document.querySelector(selector) : document.body;
+  let count = 0;
+  for (const element of scope.querySelectorAll('*')) {
+    const { position } = getComputedStyle(element);
+    if (position === 'fixed' || position === 'sticky') {
+      element.dataset.screenshotVisibility = element.style.getPropertyValue('visibility');
+      element.style.setProperty('visibility', 'hidden', 'important');
+      count++;
+    }
+  }
+  return count;
+}
+
+function restoreFixedElements() {
+  for (const element of document.querySelectorAll('[data-screenshot-visibility]')) {
+    element.style.setProperty('visibility', element.dataset.screenshotVisibility);
+    delete element.dataset.screenshotVisibility;
+  }
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Scroll through the page (or a container) frame by frame and stitch the frames into one PNG
+export async function captureScrolling(page, options) {
+  const { container, hideFixed, delay } = options;
+
+  try {
+    // * Keep the canvas within the pixel budget, so a high deviceScaleFactor captures less of the page
+    const deviceScaleFactor = (await page.viewport())?.deviceScaleFactor || 1;
+    const maxHeight = Math.min(options.maxHeight, Math.floor(MAX_STITCHED_HEIGHT / deviceScaleFactor));
+    const clip = container ? await page.evaluate(containerClip, container) : null;
+
+    // * First pass: scroll to the bottom to trigger lazy loading and infinite feeds
+    let position = await page.evaluate(scrollTo, container, 0);
+    for (let step = 0; step < MAX_FRAMES && position.y + position.frame < Math.min(position.height, maxHeight); step++) {
+      const previous = position.y;
+      position = await page.evaluate(scrollTo, container, position.y + position.frame);
+      await wait(delay);
+      if (position.y === previous) break;
+    }
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+
+    // * Second pass: capture one frame per viewport height from the top
+    position = await page.evaluate(scrollTo, container, 0);
+    await wait(delay);
+
+    const fullHeight = position.height;
+    const height = Math.min(fullHeight, maxHeight);
+    const frames = [];
+    let hiddenElements = 0;
+
+    while (frames.length < MAX_FRAMES) {
+      if (frames.length === 1 && hideFixed) {
+        hiddenElements = await page.evaluate(hideFixedElements, container);
+      }
+
+      const buffer = Buffer.from(await page.screenshot(clip ? { type: 'png', clip } : { type: 'png' }));
+      frames.push({ buffer, top: position.y, frame: position.frame });
+
+      if (position.y + position.frame >= height) break;
+
+      const previous = position.y;
+      position = await page.evaluate(scrollTo, container, position.y + position.frame);
+      await wait(delay);
+      if (position.y === previous) break;
+    }
+
+    if (hiddenElements > 0) {
+      await page.evaluate(restoreFixedElements);
+    }
+    await page.evaluate(scrollTo, container, 0);
+
+    const image = await stitchFrames(frames, height);
+
+    return {
+      buffer: image,
+      scrollCapture: {
+        ...(container && { container }),
+        frames: frames.length,
+        height,
+        fullHeight,
+        truncated: fullHeight > height,
+        hiddenFixedElements: hiddenElements
+      }
+    };
+  } catch (err) {
+    throw createError(`Scrolling capture failed: ${err.message}`, 'SCROLL_CAPTURE_FAILED', { container, originalError: err.message });
+  }
+}
+
+// Each frame contributes the rows not already covered by the frames above it
+async function stitchFrames(frames, height) {
+  const first = await sharp(frames[0].buffer).metadata();
+  const scale = first.height / frames[0].frame;
+  const width = first.width;
+  const totalHeight = Math.max(1, Math.min(MAX_STITCHED_HEIGHT, Math.round(height * scale)));
+
+  const composites = [];
+  let covered = 0;
+
+  for (const frame of frames) {
+    const frameTop = Math.round(frame.top * scale);
+    const frameBottom = Math.min(totalHeight, frameTop + first.height);
+    if (frameBottom <= covered) continue;
+
+    const start = Math.max(covered, frameTop);
+    composites.push({
+      input: await sharp(frame.buffer)
+        .extract({ left: 0, top: start - frameTop, width, height: frameBottom - start })
+        .png()
+        .toBuffer(),
+      left: 0,
+      top: start
+    });
+    covered = frameBottom;
+  }
+
+  return sharp({ create: { width, height: totalHeight, channels: 4, background: '#ffffff' } })
+    .composite(composites)
+    .png()
+    .toBuffer();
+}
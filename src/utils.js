@@ -1,30 +1,62 @@
-export const DEVICE_PRESETS = {
-  mobile: {
-    width: 375,
-    height: 667,
-    deviceScaleFactor: 2,
-    isMobile: true,
-    hasTouch: true,
-    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15A372 Safari/604.1'
-  },
-  tablet: {
-    width: 768,
-    height: 1024,
-    deviceScaleFactor: 2,
-    isMobile: true,
-    hasTouch: true,
-    userAgent: 'Mozilla/5.0 (iPad; CPU OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15A372 Safari/604.1'
-  },
-  desktop: {
-    width: 1920,
-    height: 1080,
-    deviceScaleFactor: 1,
-    isMobile: false,
-    hasTouch: false,
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-  }
+const IOS_SAFARI = 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Mobile/15E148 Safari/604.1';
+const IPADOS_SAFARI = 'Mozilla/5.0 (iPad; CPU OS 18_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Mobile/15E148 Safari/604.1';
+const ANDROID_CHROME = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Mobile Safari/537.36';
+const ANDROID_TABLET_CHROME = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36';
+const WINDOWS_CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36';
+const MAC_CHROME = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36';
+
+const phone = (width, height, deviceScaleFactor, userAgent) => ({ width, height, deviceScaleFactor, isMobile: true, hasTouch: true, userAgent });
+const screen = (width, height, deviceScaleFactor, userAgent) => ({ width, height, deviceScaleFactor, isMobile: false, hasTouch: false, userAgent });
+
+const PORTRAIT_PRESETS = {
+  // Generic presets, kept at their original sizes so existing baselines stay comparable
+  mobile: phone(375, 667, 2, IOS_SAFARI),
+  tablet: phone(768, 1024, 2, IPADOS_SAFARI),
+  desktop: screen(1920, 1080, 1, WINDOWS_CHROME),
+
+  // Phones
+  'iphone-se': phone(375, 667, 2, IOS_SAFARI),
+  'iphone-15': phone(393, 852, 3, IOS_SAFARI),
+  'iphone-15-pro-max': phone(430, 932, 3, IOS_SAFARI),
+  'iphone-16-pro': phone(402, 874, 3, IOS_SAFARI),
+  'pixel-8': phone(412, 915, 2.625, ANDROID_CHROME),
+  'galaxy-s24': phone(360, 780, 3, ANDROID_CHROME),
+
+  // Foldables
+  'galaxy-z-fold-5': phone(344, 882, 3, ANDROID_CHROME),
+  'galaxy-z-fold-5-unfolded': phone(690, 829, 2.625, ANDROID_TABLET_CHROME),
+  'pixel-fold': phone(412, 797, 2.625, ANDROID_CHROME),
+  'pixel-fold-unfolded': phone(841, 701, 2.625, ANDROID_TABLET_CHROME),
+
+  // Tablets
+  'ipad-mini': phone(744, 1133, 2, IPADOS_SAFARI),
+  'ipad-air': phone(820, 1180, 2, IPADOS_SAFARI),
+  'ipad-pro-13': phone(1032, 1376, 2, IPADOS_SAFARI),
+
+  // Laptops and desktops
+  'laptop-small': screen(1280, 800, 1, WINDOWS_CHROME),
+  laptop: screen(1366, 768, 1, WINDOWS_CHROME),
+  'macbook-air-13': screen(1470, 956, 2, MAC_CHROME),
+  'desktop-1440': screen(1440, 900, 1, MAC_CHROME),
+  'desktop-qhd': screen(2560, 1440, 1, WINDOWS_CHROME),
+  'desktop-4k': screen(3840, 2160, 1, WINDOWS_CHROME)
 };
 
+// Every portrait touch device also gets a `<name>-landscape` variant with width and height swapped
+function withLandscapeVariants(presets) {
+  const result = {};
+  for (const [name, preset] of Object.entries(presets)) {
+    result[name] = preset;
+    if (preset.isMobile && preset.height > preset.width) {
+      result[`${name}-landscape`] = { ...preset, width: preset.height, height: preset.width };
+    }
+  }
+  return result;
+}
+
+// Built-in presets; custom presets from DEVICE_PRESETS_FILE are merged in at startup
+export const DEVICE_PRESETS = withLandscapeVariants(PORTRAIT_PRESETS);
+
 export function validateUrl(url) {
   try {
     const parsed = new URL(url);
@@ -33,7 +65,7 @@ export function validateUrl(url) {
     }
     return parsed.href;
   } catch (error) {
-    throw new Error(`Invalid URL: ${error.message}`);
+    throw createError(`Invalid URL: ${error.message}`, 'INVALID_URL', { url });
   }
 }
 
@@ -49,7 +81,7 @@ export function validateViewport(viewport) {
   }
   
   if (errors.length > 0) {
-    throw new Error(errors.join(', '));
+    throw createError(errors.join(', '), 'INVALID_VIEWPORT', { viewport });
   }
 }
 
@@ -68,7 +100,7 @@ export function sanitizeSelector(selector) {
   
   for (const pattern of dangerousPatterns) {
     if (pattern.test(selector)) {
-      throw new Error('Invalid selector: contains dangerous patterns');
+      throw createError('Invalid selector: contains dangerous patterns', 'INVALID_SELECTOR', { selector });
     }
   }
   
@@ -80,4 +112,32 @@ export function createError(message, code = 'SCREENSHOT_ERROR', details = {}) {
   error.code = code;
   error.details = details;
   return error;
-}
\ No newline at end of file
+}
+
+// Names of stored baselines and sessions double as file names
+export function validateStorageName(name, kind = 'baseline') {
+  if (!name || typeof name !== 'string' || !/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+    throw createError(
+      `${kind[0].toUpperCase()}${kind.slice(1)} name may only contain letters, numbers, dots, dashes and underscores`,
+      `INVALID_${kind.toUpperCase()}_NAME`
+    );
+  }
+  return name;
+}
+
+// Run an async function over items with at most `limit` calls in flight, preserving order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
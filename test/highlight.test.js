@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HIGHLIGHT_COLORS, prepareHighlights, resolveHighlights } from '../src/highlight.js';
+
+test('prepareHighlights trims selectors and treats an empty list as none', () => {
+  assert.equal(prepareHighlights(undefined), null);
+  assert.equal(prepareHighlights([]), null);
+  assert.deepEqual(prepareHighlights([' button ', 'a[href]']), ['button', 'a[href]']);
+});
+
+test('prepareHighlights rejects entries that are not safe selectors', () => {
+  assert.throws(() => prepareHighlights(['button', '']), { code: 'INVALID_HIGHLIGHT', details: { highlight: 1 } });
+  assert.throws(() => prepareHighlights([{ selector: 'a' }]), { code: 'INVALID_HIGHLIGHT', details: { highlight: 0 } });
+  assert.throws(() => prepareHighlights(['img[onerror=go]']), { code: 'INVALID_SELECTOR' });
+});
+
+test('resolveHighlights numbers matches in order with one color per selector', async () => {
+  const box = { x: 0, y: 0, width: 10, height: 10 };
+  const page = {
+    evaluate: async () => [
+      { selectorIndex: 0, matchIndex: 0, tag: 'button', text: 'Buy', box },
+      { selectorIndex: 0, matchIndex: 2, tag: 'button', text: null, box },
+      { selectorIndex: 1, matchIndex: 0, tag: 'a', text: 'Pricing', box }
+    ]
+  };
+  const legend = await resolveHighlights(page, ['button', 'a']);
+
+  assert.deepEqual(legend.map(({ number, selector, match, color }) => ({ number, selector, match, color })), [
+    { number: 1, selector: 'button', match: 0, color: HIGHLIGHT_COLORS[0] },
+    { number: 2, selector: 'button', match: 2, color: HIGHLIGHT_COLORS[0] },
+    { number: 3, selector: 'a', match: 0, color: HIGHLIGHT_COLORS[1] }
+  ]);
+});
+
+test('resolveHighlights reports a selector the page could not parse', async () => {
+  const page = { evaluate: async () => [{ selectorIndex: 1, error: 'Invalid selector: a[' }] };
+  await assert.rejects(resolveHighlights(page, ['button', 'a[']), { code: 'INVALID_HIGHLIGHT', details: { highlight: 1 } });
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLayoutOptions } from '../src/layout.js';
+import { fitScale } from '../src/image.js';
+
+test('normalizeLayoutOptions accepts true or an options object', () => {
+  assert.equal(normalizeLayoutOptions(undefined), null);
+  assert.equal(normalizeLayoutOptions(false), null);
+  assert.deepEqual(normalizeLayoutOptions(true), { selector: null, maxElements: 500 });
+  assert.deepEqual(normalizeLayoutOptions({ selector: ' main ', maxElements: 20 }), { selector: 'main', maxElements: 20 });
+});
+
+test('normalizeLayoutOptions rejects dangerous selectors', () => {
+  assert.throws(() => normalizeLayoutOptions({ selector: 'img[onerror=alert(1)]' }), { code: 'INVALID_SELECTOR' });
+});
+
+test('fitScale shrinks images beyond 8000 pixels or maxWidth, never enlarging', () => {
+  assert.equal(fitScale(1280, 4000), 1);
+  assert.equal(fitScale(2560, 32000), 0.25);
+  assert.equal(fitScale(12000, 1000), 8000 / 12000);
+  assert.equal(fitScale(1280, 4000, { maxWidth: 640 }), 0.5);
+  assert.equal(fitScale(640, 4000, { maxWidth: 1280 }), 1);
+});
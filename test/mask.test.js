@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_MASK_COLOR, prepareMasks, resolveMaskBoxes } from '../src/mask.js';
+
+// A page whose mask selectors match the given document boxes
+const pageWithBoxes = boxes => ({ evaluate: async () => boxes });
+
+test('prepareMasks splits selectors from rectangles and validates hide', () => {
+  assert.equal(prepareMasks({}), null);
+  assert.deepEqual(prepareMasks({
+    mask: ['.ad', { x: 0, y: 10, width: 100, height: 20, label: 'ignored' }],
+    hide: ['#cookie-banner'],
+    maskColor: '#000000'
+  }), {
+    selectors: ['.ad'],
+    rects: [{ x: 0, y: 10, width: 100, height: 20 }],
+    hide: ['#cookie-banner'],
+    color: '#000000'
+  });
+  assert.equal(prepareMasks({ hide: ['.chat'] }).color, DEFAULT_MASK_COLOR);
+});
+
+test('prepareMasks rejects malformed masks and hide entries', () => {
+  assert.throws(() => prepareMasks({ mask: [{ x: 0, y: 0, width: 0, height: 10 }] }), { code: 'INVALID_MASK', details: { mask: 0 } });
+  assert.throws(() => prepareMasks({ mask: ['.ok', 42] }), { code: 'INVALID_MASK', details: { mask: 1 } });
+  assert.throws(() => prepareMasks({ hide: [{ selector: '.x' }] }), { code: 'INVALID_MASK' });
+  assert.throws(() => prepareMasks({ mask: ['div[onclick=run]'] }), { code: 'INVALID_SELECTOR' });
+});
+
+test('resolveMaskBoxes rounds boxes and drops ones outside the page', async () => {
+  const masks = prepareMasks({ mask: ['.ad', { x: -10, y: 5.4, width: 30, height: 10 }, { x: -50, y: 0, width: 30, height: 10 }] });
+  const boxes = await resolveMaskBoxes(pageWithBoxes([{ selector: '.ad', x: 10.4, y: 20.6, width: 50, height: 30 }]), masks);
+
+  assert.deepEqual(boxes, [
+    { selector: '.ad', x: 10, y: 21, width: 50, height: 30 },
+    { x: 0, y: 5, width: 20, height: 10 }
+  ]);
+});
+
+test('resolveMaskBoxes makes boxes relative to an element capture and clips them to it', async () => {
+  const masks = prepareMasks({ mask: ['.badge', '.elsewhere'] });
+  const origin = { x: 100, y: 200, width: 50, height: 40 };
+  const boxes = await resolveMaskBoxes(pageWithBoxes([
+    { selector: '.badge', x: 130, y: 220, width: 40, height: 40 },
+    { selector: '.elsewhere', x: 0, y: 0, width: 20, height: 20 }
+  ]), masks, origin);
+
+  assert.deepEqual(boxes, [{ selector: '.badge', x: 30, y: 20, width: 20, height: 20 }]);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, UrlPolicy, isPrivateAddress, matchesDomain } from '../src/policy.js';
+import { describeError } from '../src/errors.js';
+
+test('isPrivateAddress flags loopback, private, link-local and reserved IPv4', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '100.128.0.1', '93.184.216.34']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('isPrivateAddress flags private IPv6 and IPv6 forms of private IPv4', () => {
+  const blocked = [
+    '::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'fe80::1%eth0', 'fec0::1', 'ff02::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe',
+    '::7f00:1', '::127.0.0.1', '::a00:1',
+    '64:ff9b::7f00:1', '64:ff9b::10.0.0.1', '64:ff9b:1::1',
+    '2002:7f00:1::1', '2002:c0a8:101::'
+  ];
+  for (const address of blocked) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['2606:4700::1111', '::ffff:8.8.8.8', '::808:808', '64:ff9b::808:808', '2002:808:808::1']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('matchesDomain matches exact hosts, subdomain wildcards and everything', () => {
+  assert.equal(matchesDomain('Example.com.', 'example.com'), true);
+  assert.equal(matchesDomain('www.example.com', 'example.com'), false);
+  assert.equal(matchesDomain('www.example.com', '*.example.com'), true);
+  assert.equal(matchesDomain('badexample.com', '*.example.com'), false);
+  assert.equal(matchesDomain('anything.test', '*'), true);
+});
+
+test('UrlPolicy refuses private address literals and blocked domains', async () => {
+  const policy = new UrlPolicy({ blockedDomains: ['*.blocked.test'], blockPrivateNetworks: true });
+
+  await assert.rejects(policy.check('http://127.0.0.1/'), { code: 'PRIVATE_NETWORK_BLOCKED' });
+  await assert.rejects(policy.check('http://[::ffff:7f00:1]/'), { code: 'PRIVATE_NETWORK_BLOCKED' });
+  await assert.rejects(policy.check('http://[64:ff9b::a9fe:a9fe]/'), { code: 'PRIVATE_NETWORK_BLOCKED' });
+  await assert.rejects(policy.check('https://www.blocked.test/'), { code: 'URL_NOT_ALLOWED' });
+  await policy.check('http://93.184.216.34/');
+  await policy.check('data:text/html,hello');
+});
+
+test('UrlPolicy checks the address a page was served from', () => {
+  const policy = new UrlPolicy({ blockPrivateNetworks: true });
+
+  assert.throws(() => policy.checkRemoteAddress('http://rebind.test/', '127.0.0.1'), { code: 'PRIVATE_NETWORK_BLOCKED' });
+  assert.throws(() => policy.checkRemoteAddress('http://rebind.test/', '[::1]'), { code: 'PRIVATE_NETWORK_BLOCKED' });
+  policy.checkRemoteAddress('http://example.test/', '93.184.216.34');
+  policy.checkRemoteAddress('http://example.test/', '');
+  new UrlPolicy().checkRemoteAddress('http://localhost/', '127.0.0.1');
+});
+
+test('RateLimiter allows `limit` requests per window and reports when to retry', () => {
+  const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+  limiter.consume();
+  limiter.consume();
+
+  assert.throws(() => limiter.consume(), error => {
+    assert.equal(error.code, 'RATE_LIMIT_EXCEEDED');
+    assert.ok(error.details.retryAfterMs > 0 && error.details.retryAfterMs <= 1000);
+    assert.equal(describeError(error).retryable, true);
+    return true;
+  });
+
+  // * Requests older than the window no longer count
+  limiter.timestamps = limiter.timestamps.map(time => time - 1000);
+  limiter.consume();
+});
+
+test('RateLimiter with no limit never throws', () => {
+  const limiter = new RateLimiter({ limit: 0 });
+  for (let i = 0; i < 1000; i++) limiter.consume();
+});
+
+test('RateLimiter charges a batch all at once or not at all', () => {
+  const limiter = new RateLimiter({ limit: 5, windowMs: 60000 });
+  limiter.consume(3);
+
+  assert.throws(() => limiter.consume(3), { code: 'RATE_LIMIT_EXCEEDED' });
+  assert.equal(limiter.timestamps.length, 3);
+
+  limiter.consume(2);
+  assert.equal(limiter.timestamps.length, 5);
+});
+
+test('RateLimiter rejects a batch larger than the limit as not retryable', () => {
+  const limiter = new RateLimiter({ limit: 100, windowMs: 60000 });
+
+  assert.throws(() => limiter.consume(150), error => {
+    const described = describeError(error);
+    assert.equal(described.code, 'BATCH_EXCEEDS_RATE_LIMIT');
+    assert.equal(described.retryable, false);
+    assert.deepEqual(described.details, { limit: 100, windowMs: 60000, requested: 150 });
+    return true;
+  });
+  assert.equal(limiter.timestamps.length, 0);
+});
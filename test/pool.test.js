@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { PagePool } from '../src/pool.js';
+
+// A browser double that counts its open contexts
+function createBrowser() {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.openContexts = 0;
+  browser.createBrowserContext = async () => {
+    browser.openContexts++;
+    let closed = false;
+    const page = { isClosed: () => closed };
+    return {
+      newPage: async () => page,
+      close: async () => {
+        closed = true;
+        browser.openContexts--;
+      }
+    };
+  };
+  browser.close = async () => {
+    browser.connected = false;
+  };
+  return browser;
+}
+
+function createPool(options = {}) {
+  const browser = createBrowser();
+  const pool = new PagePool({ launch: async () => browser, warmPages: 0, ...options });
+  return { pool, browser };
+}
+
+test('PagePool hands out at most maxConcurrent pages and queues the rest', async () => {
+  const { pool, browser } = createPool({ maxConcurrent: 2 });
+  const first = await pool.acquire();
+  const second = await pool.acquire();
+
+  let thirdLease = null;
+  const third = pool.acquire().then(lease => {
+    thirdLease = lease;
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(pool.stats, { active: 2, queued: 1, idle: 0 });
+  assert.equal(thirdLease, null);
+
+  await pool.release(first);
+  await third;
+  assert.deepEqual(pool.stats, { active: 2, queued: 0, idle: 0 });
+
+  await pool.release(second);
+  await pool.release(thirdLease);
+  assert.deepEqual(pool.stats, { active: 0, queued: 0, idle: 0 });
+  assert.equal(browser.openContexts, 0);
+});
+
+test('PagePool times out queued requests without keeping their slot', async () => {
+  const { pool } = createPool({ maxConcurrent: 1, queueTimeout: 20 });
+  const lease = await pool.acquire();
+
+  await assert.rejects(pool.acquire(), { code: 'QUEUE_TIMEOUT' });
+  assert.deepEqual(pool.stats, { active: 1, queued: 0, idle: 0 });
+
+  await pool.release(lease);
+  assert.equal(pool.stats.active, 0);
+  await pool.release(await pool.acquire());
+});
+
+test('PagePool frees the slot when a page cannot be opened', async () => {
+  const pool = new PagePool({
+    launch: async () => {
+      throw new Error('no browser here');
+    },
+    maxConcurrent: 1,
+    warmPages: 0
+  });
+
+  await assert.rejects(pool.acquire(), { code: 'BROWSER_UNAVAILABLE' });
+  assert.equal(pool.stats.active, 0);
+});
+
+test('PagePool runs release hooks before closing the context, even when one fails', async () => {
+  const { pool } = createPool({ maxConcurrent: 1 });
+  const lease = await pool.acquire();
+  const calls = [];
+  pool.onRelease(lease.page, () => {
+    calls.push(lease.page.isClosed());
+    throw new Error('detach failed');
+  });
+  pool.onRelease(lease.page, async () => {
+    calls.push('second');
+  });
+
+  await pool.release(lease);
+  assert.deepEqual(calls, [false, 'second']);
+  assert.equal(pool.stats.active, 0);
+});
+
+test('PagePool rejects queued requests when closed', async () => {
+  const { pool, browser } = createPool({ maxConcurrent: 1 });
+  await pool.acquire();
+  const queued = pool.acquire();
+
+  await pool.close();
+  await assert.rejects(queued, { code: 'POOL_CLOSED' });
+  await assert.rejects(pool.acquire(), { code: 'POOL_CLOSED' });
+  assert.equal(browser.connected, false);
+});
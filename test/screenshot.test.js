@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScreenshotCapture } from '../src/screenshot.js';
+
+// A pool page that is never loaded: rejected calls must not reach the browser
+function createCapture() {
+  const capture = new ScreenshotCapture({ maxConcurrent: 1, queueTimeout: 100, rateLimitRequests: 100 });
+  capture.policy.check = async () => {};
+  capture.pool.launch = async () => {
+    throw new Error('The browser should not be launched');
+  };
+  return capture;
+}
+
+test('capture options are validated before a pool page is taken', async () => {
+  const capture = createCapture();
+  const rejected = [
+    [{ format: 'pdf', mask: ['.ad'] }, 'INVALID_MASK'],
+    [{ format: 'pdf', highlight: ['button'] }, 'INVALID_HIGHLIGHT'],
+    [{ highlight: [42] }, 'INVALID_HIGHLIGHT'],
+    [{ includeLayout: { selector: 'a[onclick=go]' } }, 'INVALID_SELECTOR'],
+    [{ format: 'pdf', scrollCapture: true }, 'INVALID_SCROLL_CAPTURE'],
+    [{ scrollCapture: { container: '.feed' }, mask: ['.ad'] }, 'INVALID_SCROLL_CAPTURE']
+  ];
+
+  for (const [options, code] of rejected) {
+    await assert.rejects(capture.captureScreenshot('https://example.com', options), { code });
+    assert.equal(capture.pool.stats.active, 0);
+  }
+});